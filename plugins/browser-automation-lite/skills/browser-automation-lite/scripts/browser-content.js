@@ -1,169 +1,455 @@
 #!/usr/bin/env node
 
-import puppeteer from 'puppeteer-core';
-import { JSDOM } from 'jsdom';
-import { Readability } from '@mozilla/readability';
-import TurndownService from 'turndown';
-import { gfm } from 'turndown-plugin-gfm';
-
-const REMOTE_DEBUGGING_PORT = 9222;
-const CONNECTION_TIMEOUT_MS = 5000;
+import { existsSync, mkdirSync, readFileSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import { parseConnectionArgs, connectBrowser, getActivePage, reportError, classifyError, timeoutError, withTimeout, CONNECTION_HELP, EXIT_CODES } from './lib/connection.js';
+import { getOutputFormat, printResult, logProgress, OUTPUT_HELP } from './lib/output.js';
+import { getOption, getOptions, getPositionals } from './lib/args.js';
+import { extractContent, formatDocument, renderContent, articleMetadata, CONTENT_FORMATS, FORMAT_EXTENSIONS, DEFAULT_URL_TIMEOUT_MS } from './lib/content.js';
+import { downloadImages } from './lib/assets.js';
+import { buildToc, getSection, chunkMarkdown, CHARS_PER_TOKEN } from './lib/chunks.js';
+
 const GLOBAL_TIMEOUT_MS = 30000;
-const MIN_CONTENT_LENGTH = 100;
+// Headroom over --timeout for connecting and rendering in single-URL mode
+const GLOBAL_TIMEOUT_SLACK_MS = 15000;
+const DEFAULT_CONCURRENCY = 3;
+const VALUE_OPTIONS = ['--urls', '--concurrency', '--timeout', '--out-dir', '--format', '--selector', '--exclude', '--assets', '--section', '--max-chars', '--max-tokens', '--chunk'];
 
 function showHelp() {
   console.log(`
 Usage: node browser-content.js <url>
+       node browser-content.js --current [--tab <tab>]
+       node browser-content.js --urls <file|-> [--concurrency <n>] [--out-dir <dir>]
 
-Extract clean article content from a webpage as Markdown.
+Extract clean article content from a webpage as Markdown, text or HTML.
 
 Arguments:
-  url       URL to extract content from (required)
+  url                  URL to extract content from
 
 Options:
-  --help    Show this help message
+  --current            Extract from the tab as it is now, without navigating (keeps
+                       logged-in SPA state, expanded sections, revealed content)
+  --selector <css>     Only extract from the element(s) matching the selector
+  --exclude <css>      Remove matching elements first (repeatable), e.g. ".comments"
+  --format <format>    markdown (default), text, html, or json (same as --json)
+  --front-matter       markdown/text: start with YAML front-matter (title, url, byline,
+                       siteName, excerpt, lang, publishedTime, length) instead of
+                       the URL:/Title: header
+  --absolute-urls      Rewrite links and images to absolute URLs
+  --link-refs          Append a numbered reference list of outbound links
+                       (Markdown links become [text][n])
+  --assets <dir>       Download images into <dir> through the browser (its cookies, proxy
+                       and certificates) and point the content at the local files
+                       (implies --absolute-urls)
+  --timeout <ms>       Per-URL timeout (default: ${DEFAULT_URL_TIMEOUT_MS})
+  --json               Print the result (with all metadata) as JSON
+  --help               Show this help message
+
+Reading long pages (single URL or --current):
+  --toc                Print only the outline: section ids, titles and sizes (markdown)
+  --section <id|title> Only the section with this id (from --toc) or heading text,
+                       including its subsections (markdown)
+  --max-chars <n>      Split the content into chunks of at most n chars, cut at heading,
+                       then paragraph boundaries (markdown or text)
+  --max-tokens <n>     Same, with n estimated tokens (~${CHARS_PER_TOKEN} chars per token)
+  --chunk <n>          Which chunk to print (default: 1); the output says how many there are
+
+Batch mode:
+  --urls <file|->      Read URLs from a file, or from stdin with "-" (one per line,
+                       blank lines and # comments ignored)
+  --concurrency <n>    Number of tabs extracting in parallel (default: ${DEFAULT_CONCURRENCY})
+  --out-dir <dir>      Write one file per URL (.md, .txt or .html) instead of printing
+                       the content
+
+  Results are printed as JSONL (one line per URL, in completion order) unless
+  --out-dir is given. A failing URL is reported and the batch continues; a
+  summary follows on stderr (text mode) or as a final {"summary": ...} line.
+  Exits with ${EXIT_CODES.ERROR} if any URL failed.
 
 Output:
-  - Final URL (after redirects)
-  - Article title
-  - Content as GitHub-flavored Markdown
+  - Final URL (after redirects) and article title, or YAML front-matter
+  - Content as GitHub-flavored Markdown (headings, lists, tables and code blocks kept),
+    plain text with paragraph breaks, or a standalone HTML document
+
+${OUTPUT_HELP}
+  JSON schema: {"url": string, "title": string, "byline": string | null, "siteName": string | null,
+                "excerpt": string | null, "lang": string | null, "publishedTime": string | null,
+                "length": number, "format": "markdown" | "text" | "html", "content": string,
+                "assets"?: [{"url": string, "file": string}],
+                "failedAssets"?: [{"url": string, "error": string}]}
+  --toc schema: {...metadata, "sections": [{"id": string, "level": number, "title": string,
+                                           "chars": number, "tokens": number}]}
+  With --section: "section": {"id": string, "title": string} is added
+  With --max-chars/--max-tokens: "chunk": {"index": number, "total": number, "sections": [string]}
+  Batch schema (per URL): {"index": number, "input": string, "ok": boolean, "url": string | null,
+                           "title": string | null, ...metadata, "content"?: string, "file"?: string,
+                           "error": {"kind": string, "message": string} | null}
+  Batch summary: {"summary": {"total": number, "succeeded": number, "failed": number}}
 
 Examples:
   node browser-content.js "https://example.com/article"
   node browser-content.js "https://en.wikipedia.org/wiki/Web_scraping" > article.md
+  node browser-content.js "https://example.com/article" --front-matter > kb/article.md
+  node browser-content.js "https://example.com/article" --format html > article.html
+  node browser-content.js "https://example.com/article" --json --format text
+  node browser-content.js --current
+  node browser-content.js --current --tab docs --selector "main .markdown-body"
+  node browser-content.js "https://example.com/post" --exclude ".comments" --exclude "aside, .ads"
+  node browser-content.js "https://docs.example.com/guide" --link-refs --assets assets > guide.md
+  node browser-content.js "https://en.wikipedia.org/wiki/Web_scraping" --toc
+  node browser-content.js "https://en.wikipedia.org/wiki/Web_scraping" --section 3.1
+  node browser-content.js "https://en.wikipedia.org/wiki/Web_scraping" --section "Legal issues"
+  node browser-content.js "https://example.com/long-guide" --max-tokens 2000 --chunk 2
+  node browser-content.js --urls docs.txt --out-dir archive/ --assets archive/assets --front-matter
+  node browser-content.js --urls urls.txt --concurrency 4 > articles.jsonl
+  node browser-content.js --urls urls.txt --out-dir articles/
+  grep "^Link:" results.txt | cut -d' ' -f2 | node browser-content.js --urls - --jsonl
+
+${CONNECTION_HELP}
 
 Notes:
   - Chrome must be running (use browser-start.js)
-  - Uses Mozilla Readability for extraction
+  - Uses Mozilla Readability for extraction, on the --selector/--exclude scoped DOM
+  - The live DOM is read from the tab, so content rendered by JavaScript is included
   - Converts to Markdown with Turndown
-  - Fallback to basic HTML cleaning if Readability fails
-  - Global timeout: ${GLOBAL_TIMEOUT_MS / 1000}s
+  - Fallback to basic HTML cleaning (and <meta> tags for metadata) if Readability fails
+  - length is the article's plain-text length in characters
+  - Section ids number the headings from the top level down ("2", "2.1", ...); "0" is the
+    text before the first heading. Chunks keep code blocks and tables valid Markdown,
+    and each chunk that continues a split section starts with its heading
+  - Token counts are estimates (chars / ${CHARS_PER_TOKEN}), not a specific tokenizer
+  - Global timeout (single URL): ${GLOBAL_TIMEOUT_MS / 1000}s, or --timeout plus ${GLOBAL_TIMEOUT_SLACK_MS / 1000}s when that is longer
+  - Batch mode opens its own tabs and closes them when done; the current tab is left alone
+  - --assets paths are relative to --out-dir in batch mode, else to the current directory
+    (so redirect output into the current directory); images are named by URL hash, so
+    pages sharing an image store it once; failed downloads keep the remote URL
   `);
   process.exit(0);
 }
 
-function cleanText(text) {
-  return text
-    .replace(/\(\s*\)/g, '')
-    .replace(/\s+/g, ' ')
-    .replace(/\n\s*\n\s*\n/g, '\n\n')
-    .trim();
+// Runs outside the per-URL timeout: each image download has its own
+async function saveAssets(page, article, { assetsDir, documentDir, format }) {
+  const { html, assets, failed } = await downloadImages(page, article.html, { assetsDir, documentDir });
+  article.html = html;
+  article.assets = assets;
+  article.failedAssets = failed;
+  for (const { url, error } of failed) {
+    logProgress(format, `  Warning: could not download ${url} (${error})`);
+  }
 }
 
-function fallbackExtraction(html, url) {
-  const dom = new JSDOM(html, { url });
-  const doc = dom.window.document;
+// The JSON result: rendered content plus Readability's metadata
+function toRecord(article, contentFormat, { linkRefs, content = renderContent(article, contentFormat, { linkRefs }) } = {}) {
+  const record = { ...articleMetadata(article), format: contentFormat, content };
+  if (article.assets) {
+    Object.assign(record, { assets: article.assets, failedAssets: article.failedAssets });
+  }
+  return record;
+}
 
-  // Remove unwanted elements
-  const unwanted = doc.querySelectorAll('script, style, nav, header, footer, aside, .navigation, .menu, .sidebar');
-  unwanted.forEach(el => el.remove());
+// --toc, --section and chunking, checked against the content format
+function parseReading(args, contentFormat) {
+  const maxChars = args.includes('--max-chars') ? parsePositiveInt(args, '--max-chars') : null;
+  const maxTokens = args.includes('--max-tokens') ? parsePositiveInt(args, '--max-tokens') : null;
+  const reading = {
+    toc: args.includes('--toc'),
+    section: getOption(args, '--section'),
+    maxChars: maxTokens ? maxTokens * CHARS_PER_TOKEN : maxChars,
+    chunk: parsePositiveInt(args, '--chunk', 1)
+  };
+
+  let error = null;
+  if (maxChars && maxTokens) {
+    error = 'Pass either --max-chars or --max-tokens, not both';
+  } else if (reading.toc && (reading.section || reading.maxChars)) {
+    error = '--toc cannot be combined with --section or chunking';
+  } else if ((reading.toc || reading.section) && contentFormat !== 'markdown') {
+    error = '--toc and --section need markdown content';
+  } else if (reading.maxChars && contentFormat === 'html') {
+    error = '--max-chars/--max-tokens need markdown or text content';
+  } else if (args.includes('--chunk') && !reading.maxChars) {
+    error = '--chunk needs --max-chars or --max-tokens';
+  }
+  if (error) {
+    console.error(`Error: ${error}`);
+    process.exit(EXIT_CODES.ERROR);
+  }
+  return reading;
+}
 
-  // Try to find main content
-  const mainContent = doc.querySelector('main') ||
-                      doc.querySelector('article') ||
-                      doc.querySelector('[role="main"]') ||
-                      doc.querySelector('.content') ||
-                      doc.querySelector('#content') ||
-                      doc.body;
+// Narrows the rendered content to one section and/or one chunk
+function selectContent(content, { section, maxChars, chunk }) {
+  const selection = { content };
+  if (section) {
+    const found = getSection(content, section);
+    selection.content = found.content;
+    selection.section = { id: found.id, title: found.title };
+  }
+  if (maxChars) {
+    const chunks = chunkMarkdown(selection.content, maxChars);
+    if (chunk > chunks.length) {
+      throw new Error(`--chunk ${chunk} is out of range (the content has ${chunks.length} chunk${chunks.length === 1 ? '' : 's'})`);
+    }
+    const selected = chunks[chunk - 1];
+    selection.content = selected.content;
+    selection.chunk = { index: selected.index, total: chunks.length, sections: selected.sections };
+  }
+  return selection;
+}
 
-  const text = mainContent ? mainContent.textContent : '';
-  return cleanText(text);
+function formatToc(article, toc) {
+  const lines = toc.map(entry => {
+    const indent = '  '.repeat(Math.max(entry.level - 1, 0));
+    return `${indent}${entry.id}  ${entry.title}  (${entry.chars} chars, ~${entry.tokens} tokens)`;
+  });
+  return `URL: ${article.url}\nTitle: ${article.title}\n\n${lines.join('\n')}`;
 }
 
-async function extractContent(page, url) {
-  await page.goto(url, { waitUntil: 'domcontentloaded', timeout: 10000 });
+function formatChunkFooter({ index, total }) {
+  return index < total ? `[chunk ${index} of ${total} — next: --chunk ${index + 1}]` : `[chunk ${index} of ${total}]`;
+}
 
-  const finalUrl = page.url();
-  const html = await page.content();
+function readUrlList(source) {
+  const text = readFileSync(source === '-' ? 0 : source, 'utf8');
+  return text
+    .split('\n')
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#'));
+}
 
-  const dom = new JSDOM(html, { url: finalUrl });
-  const reader = new Readability(dom.window.document);
-  const article = reader.parse();
+function parsePositiveInt(args, name, fallback) {
+  const value = getOption(args, name, String(fallback));
+  if (!/^\d+$/.test(value) || Number(value) === 0) {
+    console.error(`Error: ${name} must be a positive integer`);
+    process.exit(EXIT_CODES.ERROR);
+  }
+  return Number(value);
+}
 
-  let title = '';
-  let content = '';
+// "https://example.com/blog/post?id=1" -> "example.com-blog-post-id-1", unique within the batch
+function fileNameFor(url, used, extension) {
+  let base;
+  try {
+    const parsed = new URL(url);
+    base = `${parsed.hostname}${parsed.pathname}${parsed.search}`;
+  } catch {
+    base = url;
+  }
+  base = base.replace(/[^a-zA-Z0-9._-]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 100) || 'page';
 
-  if (article) {
-    title = article.title;
+  let name = base;
+  for (let n = 2; used.has(name); n++) {
+    name = `${base}-${n}`;
+  }
+  used.add(name);
+  return `${name}.${extension}`;
+}
 
-    const turndownService = new TurndownService({
-      headingStyle: 'atx',
-      codeBlockStyle: 'fenced'
-    });
-    turndownService.use(gfm);
+async function runBatch(browser, urls, { concurrency, timeout, extraction, assetsDir, outDir, format, contentFormat, rendering }) {
+  const usedNames = new Set();
+  const queue = urls.map((input, index) => ({ input, index }));
+  let succeeded = 0;
+  let failed = 0;
+  let done = 0;
 
-    content = turndownService.turndown(article.content);
-    content = cleanText(content);
-  } else {
-    // Fallback
-    title = dom.window.document.title || 'Untitled';
-    content = fallbackExtraction(html, finalUrl);
+  if (outDir && !existsSync(outDir)) {
+    mkdirSync(outDir, { recursive: true });
   }
 
-  if (content.length < MIN_CONTENT_LENGTH) {
-    throw new Error(`Insufficient content extracted (${content.length} chars, minimum ${MIN_CONTENT_LENGTH})`);
+  async function processUrl(page, { input, index }) {
+    const record = { index, input, ok: false, url: null, title: null, error: null };
+    try {
+      const article = await withTimeout(extractContent(page, input, { timeout, ...extraction }), timeout, input);
+      if (assetsDir) {
+        await saveAssets(page, article, { assetsDir, documentDir: outDir || process.cwd(), format });
+      }
+      if (outDir) {
+        const file = join(outDir, fileNameFor(input, usedNames, FORMAT_EXTENSIONS[contentFormat]));
+        writeFileSync(file, formatDocument(article, contentFormat, rendering) + '\n');
+        const { content, ...rest } = toRecord(article, contentFormat, rendering);
+        Object.assign(record, rest, { file });
+      } else {
+        Object.assign(record, toRecord(article, contentFormat, rendering));
+      }
+      record.ok = true;
+      succeeded++;
+    } catch (error) {
+      record.error = { kind: classifyError(error).kind, message: error.message };
+      failed++;
+    }
+
+    done++;
+    logProgress(format, `[${done}/${urls.length}] ${record.ok ? '✓' : '✗'} ${input}${record.ok ? '' : ` (${record.error.message})`}`);
+    return record;
+  }
+
+  async function worker() {
+    let page = await browser.newPage();
+    try {
+      while (queue.length > 0) {
+        const record = await processUrl(page, queue.shift());
+        // Text mode with --out-dir only reports progress and the summary
+        if (format !== 'text' || !outDir) {
+          console.log(JSON.stringify(record));
+        }
+        // A page that timed out may still be busy; continue in a fresh tab
+        if (record.error && record.error.kind === 'timeout') {
+          await page.close().catch(() => {});
+          page = await browser.newPage();
+        }
+      }
+    } finally {
+      await page.close().catch(() => {});
+    }
   }
 
-  return { finalUrl, title, content };
+  const workers = Array.from({ length: Math.min(concurrency, urls.length) }, () => worker());
+  await Promise.all(workers);
+
+  return { total: urls.length, succeeded, failed };
+}
+
+function formatSummary(summary) {
+  return `${summary.failed === 0 ? '✓' : '✗'} Extracted ${summary.succeeded}/${summary.total} URLs` +
+    (summary.failed > 0 ? ` (${summary.failed} failed)` : '');
 }
 
 async function main() {
-  const args = process.argv.slice(2);
+  const { args, endpoint, tab } = parseConnectionArgs(process.argv.slice(2));
 
   if (args.includes('--help') || args.length === 0) {
     showHelp();
   }
 
-  const url = args.find(arg => !arg.startsWith('--'));
+  const [url] = getPositionals(args, VALUE_OPTIONS);
+  const urlsSource = getOption(args, '--urls');
+  const contentFormat = getOption(args, '--format', 'markdown');
+  // --format json is shorthand for --json with Markdown content
+  const format = contentFormat === 'json' && !args.includes('--jsonl') ? 'json' : getOutputFormat(args);
+  const urlTimeout = parsePositiveInt(args, '--timeout', DEFAULT_URL_TIMEOUT_MS);
+  const current = args.includes('--current');
+  const assetsDir = getOption(args, '--assets');
+  const extraction = {
+    selector: getOption(args, '--selector'),
+    exclude: getOptions(args, '--exclude'),
+    absoluteUrls: args.includes('--absolute-urls') || Boolean(assetsDir)
+  };
+  const rendering = { frontMatter: args.includes('--front-matter'), linkRefs: args.includes('--link-refs') };
+
+  if (!CONTENT_FORMATS.includes(contentFormat)) {
+    console.error(`Error: --format must be one of: ${CONTENT_FORMATS.join(', ')}`);
+    process.exit(EXIT_CODES.ERROR);
+  }
+  const renderFormat = contentFormat === 'json' ? 'markdown' : contentFormat;
+
+  if (urlsSource) {
+    if (url || current) {
+      console.error('Error: --urls cannot be combined with a URL or --current');
+      process.exit(EXIT_CODES.ERROR);
+    }
+    if (['--toc', '--section', '--max-chars', '--max-tokens', '--chunk'].some(option => args.includes(option))) {
+      console.error('Error: --toc, --section and chunking work on a single page, not with --urls');
+      process.exit(EXIT_CODES.ERROR);
+    }
+
+    let urls;
+    try {
+      urls = readUrlList(urlsSource);
+    } catch (error) {
+      console.error(`✗ Cannot read URL list: ${error.message}`);
+      process.exit(EXIT_CODES.ERROR);
+    }
+
+    const concurrency = parsePositiveInt(args, '--concurrency', DEFAULT_CONCURRENCY);
+    const outDir = getOption(args, '--out-dir');
+
+    let browser;
+    try {
+      browser = await connectBrowser(endpoint);
+
+      const summary = await runBatch(browser, urls, { concurrency, timeout: urlTimeout, extraction, assetsDir, outDir, format, contentFormat: renderFormat, rendering });
+
+      if (format === 'text') {
+        console.error(formatSummary(summary));
+      } else {
+        console.log(JSON.stringify({ summary }));
+      }
+
+      await browser.disconnect();
+      process.exit(summary.failed === 0 ? EXIT_CODES.OK : EXIT_CODES.ERROR);
 
-  if (!url) {
-    console.error('Error: URL is required');
+    } catch (error) {
+      const exitCode = reportError(error, 'Batch extraction failed', endpoint, format);
+
+      if (browser) {
+        await browser.disconnect();
+      }
+      process.exit(exitCode);
+    }
+  }
+
+  if (url && current) {
+    console.error('Error: Pass either a URL or --current, not both');
+    process.exit(EXIT_CODES.ERROR);
+  }
+  if (!url && !current) {
+    console.error('Error: URL is required (or --current to extract the open page)');
     showHelp();
   }
+  const reading = parseReading(args, renderFormat);
 
   let browser;
+  const globalTimeout = Math.max(GLOBAL_TIMEOUT_MS, urlTimeout + GLOBAL_TIMEOUT_SLACK_MS);
   const timeout = setTimeout(() => {
-    console.error(`✗ Global timeout (${GLOBAL_TIMEOUT_MS / 1000}s) exceeded`);
-    process.exit(1);
-  }, GLOBAL_TIMEOUT_MS);
+    const error = timeoutError(`Global timeout (${globalTimeout / 1000}s) exceeded`);
+    process.exit(reportError(error, 'Content extraction failed', endpoint, format));
+  }, globalTimeout);
 
   try {
-    browser = await puppeteer.connect({
-      browserURL: `http://localhost:${REMOTE_DEBUGGING_PORT}`,
-      defaultViewport: null,
-      timeout: CONNECTION_TIMEOUT_MS
-    });
+    browser = await connectBrowser(endpoint);
 
-    const pages = await browser.pages();
-    const page = pages[0] || await browser.newPage();
+    const page = await getActivePage(browser, { endpoint, tab, create: !current });
 
-    const result = await extractContent(page, url);
+    const article = await extractContent(page, current ? null : url, { timeout: urlTimeout, ...extraction });
+    clearTimeout(timeout);
 
-    console.log(`URL: ${result.finalUrl}`);
-    console.log(`Title: ${result.title}`);
-    console.log('');
-    console.log(result.content);
+    if (assetsDir) {
+      await saveAssets(page, article, { assetsDir, documentDir: process.cwd(), format });
+    }
+
+    if (reading.toc) {
+      const toc = buildToc(renderContent(article, renderFormat, rendering));
+      printResult(format, { ...articleMetadata(article), sections: toc }, () => formatToc(article, toc));
+    } else if (reading.section || reading.maxChars) {
+      const { content, ...selection } = selectContent(renderContent(article, renderFormat, rendering), reading);
+      if (format === 'text') {
+        const document = formatDocument(article, renderFormat, { ...rendering, content });
+        console.log(selection.chunk ? `${document}\n\n${formatChunkFooter(selection.chunk)}` : document);
+      } else {
+        printResult(format, { ...toRecord(article, renderFormat, { ...rendering, content }), ...selection });
+      }
+    } else if (format === 'text') {
+      console.log(formatDocument(article, renderFormat, rendering));
+    } else {
+      printResult(format, toRecord(article, renderFormat, rendering));
+    }
 
-    clearTimeout(timeout);
     await browser.disconnect();
     process.exit(0);
 
   } catch (error) {
     clearTimeout(timeout);
 
-    if (error.message.includes('connect')) {
-      console.error('✗ Could not connect to Chrome on localhost:' + REMOTE_DEBUGGING_PORT);
-      console.error('  Make sure Chrome is running with remote debugging enabled.');
-      console.error('  Run: node browser-start.js');
-    } else {
-      console.error('✗ Content extraction failed:', error.message);
-    }
+    const exitCode = reportError(error, 'Content extraction failed', endpoint, format);
 
     if (browser) {
       await browser.disconnect();
     }
-    process.exit(1);
+    process.exit(exitCode);
   }
 }
 
-main();
+// parseConnectionArgs throws on a bad --port or --session before main's own error handling
+main().catch(error => {
+  process.exit(reportError(error, 'Invalid connection options', null, getOutputFormat(process.argv)));
+});
@@ -1,18 +1,49 @@
 #!/usr/bin/env node
 
-import puppeteer from 'puppeteer-core';
-
-const REMOTE_DEBUGGING_PORT = 9222;
-const CONNECTION_TIMEOUT_MS = 5000;
+import { readFileSync, writeFileSync } from 'fs';
+import { parseConnectionArgs, connectBrowser, getActivePage, reportError, CONNECTION_HELP } from './lib/connection.js';
+import { getOutputFormat, printResult, OUTPUT_HELP } from './lib/output.js';
+import { getOption, getPositionals } from './lib/args.js';
+import { listCookies, formatCookies, toCookieRecord, filterCookies, toNetscape, parseCookieFile, toCookieParam } from './lib/cookies.js';
+
+const VALUE_OPTIONS = ['--domain', '--name', '--path', '--expires', '--same-site', '--format', '--output'];
+
+const ERROR_LABELS = {
+  list: 'Failed to retrieve cookies',
+  export: 'Cookie export failed',
+  import: 'Cookie import failed',
+  set: 'Failed to set cookie',
+  delete: 'Failed to delete cookie'
+};
 
 function showHelp() {
   console.log(`
-Usage: node browser-cookies.js
+Usage: node browser-cookies.js [command] [arguments] [options]
+
+List, export, import, set and delete browser cookies.
 
-Display all cookies from the active browser tab.
+Commands:
+  list                    Show cookies of the active tab (default)
+  export                  Export every cookie in the browser
+  import <file|->         Load cookies from a JSON or Netscape cookies.txt file (- for stdin)
+  set <name> <value>      Create or overwrite a cookie
+  delete <name>           Delete cookies with that name (narrow with --domain/--path)
 
 Options:
-  --help    Show this help message
+  --all                   list: show every cookie in the browser, not just the active tab's
+  --domain <domain>       list/export/delete: filter by domain (includes subdomains)
+                          set: cookie domain (default: the active tab's host)
+  --name <name>           list/export: filter by cookie name
+  --path <path>           set/delete: cookie path (default for set: /)
+  --expires <time>        set: Unix seconds or ISO date (default: session cookie)
+  --same-site <value>     set: Strict, Lax or None
+  --secure                set: mark the cookie Secure
+  --http-only             set: mark the cookie HttpOnly
+  --format <fmt>          export: json (default) or netscape
+  --output <file>         export: write to a file instead of stdout
+  --json                  Print cookies / results as JSON
+  --jsonl                 Print one JSON cookie per line
+  --help                  Show this help message
 
 Output:
   For each cookie:
@@ -22,75 +53,149 @@ Output:
   - Path
   - Security flags (httpOnly, secure)
 
+${OUTPUT_HELP}
+  JSON schema (per cookie): {"name": string, "value": string, "domain": string, "path": string,
+                             "expires": number (-1 for session cookies), "httpOnly": boolean,
+                             "secure": boolean, "sameSite": string | null}
+  JSON schema (import/set/delete): {"action": string, "count": number}
+  export always writes the per-cookie schema as a JSON array (or cookies.txt).
+
 Examples:
   node browser-cookies.js
+  node browser-cookies.js --all --domain github.com
+  node browser-cookies.js --jsonl | jq -r '.name'
+  node browser-cookies.js export --format netscape --output cookies.txt
+  curl -b cookies.txt https://example.com/account
+  node browser-cookies.js import cookies.json
+  node browser-cookies.js set session abc123 --domain example.com --secure --same-site Lax
+  node browser-cookies.js delete session --domain example.com
+
+${CONNECTION_HELP}
 
 Notes:
   - Chrome must be running (use browser-start.js)
-  - Shows cookies for current page domain
+  - list shows cookies for the current page unless --all is given
+  - export, import and delete work on the whole browser, no tab required
   `);
   process.exit(0);
 }
 
-function formatCookies(cookies) {
-  if (cookies.length === 0) {
-    return 'No cookies found';
+function formatAction(result) {
+  const verbs = { import: 'Imported', set: 'Set', delete: 'Deleted' };
+  return `✓ ${verbs[result.action]} ${result.count} cookie${result.count === 1 ? '' : 's'}`;
+}
+
+async function setCookie(browser, args, name, value, endpoint, tab) {
+  const param = toCookieParam({
+    name,
+    value,
+    domain: getOption(args, '--domain'),
+    path: getOption(args, '--path'),
+    expires: getOption(args, '--expires'),
+    sameSite: getOption(args, '--same-site'),
+    secure: args.includes('--secure'),
+    httpOnly: args.includes('--http-only')
+  });
+
+  if (!param.domain) {
+    // Let Chrome derive the domain from the tab we are looking at
+    const page = await getActivePage(browser, { endpoint, tab });
+    if (!/^https?:/.test(page.url())) {
+      throw new Error(`Active tab (${page.url()}) has no host; pass --domain`);
+    }
+    delete param.domain;
+    param.url = page.url();
   }
 
-  return cookies.map((cookie, i) => {
-    return `
-[${i}] ${cookie.name}
-Value: ${cookie.value}
-Domain: ${cookie.domain}
-Path: ${cookie.path}
-HttpOnly: ${cookie.httpOnly}
-Secure: ${cookie.secure}
-`.trim();
-  }).join('\n\n' + '-'.repeat(60) + '\n\n');
+  await browser.setCookie(param);
 }
 
 async function main() {
-  const args = process.argv.slice(2);
+  const { args, endpoint, tab } = parseConnectionArgs(process.argv.slice(2));
 
   if (args.includes('--help')) {
     showHelp();
   }
 
+  const format = getOutputFormat(args);
+  const [command = 'list', ...params] = getPositionals(args, VALUE_OPTIONS);
+  const filters = { domain: getOption(args, '--domain'), name: getOption(args, '--name') };
+  const exportFormat = getOption(args, '--format', 'json');
+
+  if (!ERROR_LABELS[command]) {
+    console.error(`Error: Unknown command "${command}"`);
+    showHelp();
+  }
+  if ((command === 'import' || command === 'delete') && !params[0]) {
+    console.error(`Error: ${command === 'import' ? 'A cookie file' : 'A cookie name'} is required`);
+    showHelp();
+  }
+  if (command === 'set' && params.length < 2) {
+    console.error('Error: set requires <name> and <value>');
+    showHelp();
+  }
+  if (command === 'export' && !['json', 'netscape'].includes(exportFormat)) {
+    console.error(`Error: Unknown export format "${exportFormat}"`);
+    showHelp();
+  }
+
   let browser;
   try {
-    browser = await puppeteer.connect({
-      browserURL: `http://localhost:${REMOTE_DEBUGGING_PORT}`,
-      defaultViewport: null,
-      timeout: CONNECTION_TIMEOUT_MS
-    });
+    browser = await connectBrowser(endpoint);
+
+    if (command === 'list') {
+      const source = args.includes('--all') ? browser : await getActivePage(browser, { endpoint, tab });
+      printResult(format, await listCookies(source, filters), formatCookies);
+
+    } else if (command === 'export') {
+      const cookies = filterCookies(await browser.cookies(), filters).map(toCookieRecord);
+      const data = exportFormat === 'netscape' ? toNetscape(cookies) : JSON.stringify(cookies, null, 2) + '\n';
+      const output = getOption(args, '--output');
+
+      if (output) {
+        writeFileSync(output, data);
+        console.error(`✓ Exported ${cookies.length} cookies to ${output}`);
+      } else {
+        process.stdout.write(data);
+      }
+
+    } else if (command === 'import') {
+      const text = readFileSync(params[0] === '-' ? 0 : params[0], 'utf8');
+      const cookies = parseCookieFile(text).map(toCookieParam);
+      if (cookies.length > 0) {
+        await browser.setCookie(...cookies);
+      }
+      printResult(format, { action: command, count: cookies.length }, formatAction);
+
+    } else if (command === 'set') {
+      await setCookie(browser, args, params[0], params[1], endpoint, tab);
+      printResult(format, { action: command, count: 1 }, formatAction);
 
-    const pages = await browser.pages();
-    const page = pages[0];
-
-    if (!page) {
-      throw new Error('No active tab found. Navigate to a page first.');
+    } else {
+      const path = getOption(args, '--path');
+      const matches = filterCookies(await browser.cookies(), { domain: filters.domain, name: params[0] })
+        .filter(cookie => !path || cookie.path === path);
+      if (matches.length === 0) {
+        throw new Error(`No cookie named "${params[0]}" found`);
+      }
+      await browser.deleteCookie(...matches);
+      printResult(format, { action: command, count: matches.length }, formatAction);
     }
 
-    const cookies = await page.cookies();
-    console.log(formatCookies(cookies));
-
     await browser.disconnect();
     process.exit(0);
 
   } catch (error) {
-    if (error.message.includes('connect')) {
-      console.error('✗ Could not connect to Chrome on localhost:' + REMOTE_DEBUGGING_PORT);
-      console.error('  Make sure Chrome is running with remote debugging enabled.');
-      console.error('  Run: node browser-start.js');
-    } else {
-      console.error('✗ Failed to retrieve cookies:', error.message);
-    }
+    const exitCode = reportError(error, ERROR_LABELS[command], endpoint, format);
 
     if (browser) {
       await browser.disconnect();
     }
-    process.exit(1);
+    process.exit(exitCode);
   }
 }
 
-main();
+// parseConnectionArgs throws on a bad --port or --session before main's own error handling
+main().catch(error => {
+  process.exit(reportError(error, 'Invalid connection options', null, getOutputFormat(process.argv)));
+});
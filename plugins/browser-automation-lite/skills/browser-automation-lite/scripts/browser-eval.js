@@ -1,41 +1,104 @@
 #!/usr/bin/env node
 
-import puppeteer from 'puppeteer-core';
+import { readFileSync } from 'fs';
+import { parseConnectionArgs, connectBrowser, getActivePage, reportError, CONNECTION_HELP, EXIT_CODES } from './lib/connection.js';
+import { getOutputFormat, printResult, OUTPUT_HELP } from './lib/output.js';
+import { getOption, getOptions, getPositionals } from './lib/args.js';
+import { prepareScript, evaluateScript, createIsolatedWorld } from './lib/evaluate.js';
 
-const REMOTE_DEBUGGING_PORT = 9222;
-const CONNECTION_TIMEOUT_MS = 5000;
+const VALUE_OPTIONS = ['--file', '--arg'];
 
 function showHelp() {
   console.log(`
-Usage: node browser-eval.js <javascript-code>
+Usage: node browser-eval.js <javascript-code> [options]
+       node browser-eval.js --file <script.js | -> [options]
 
-Execute JavaScript code in the active browser tab.
+Execute JavaScript code in the active browser tab. The value of the last
+expression is printed, as in the DevTools console.
 
 Arguments:
-  javascript-code    JavaScript code to execute (required)
+  javascript-code     JavaScript code to execute
 
 Options:
-  --help            Show this help message
+  --file <path>       Read the code from a file, or from stdin with "-"
+  --arg <name>=<json> Make a JSON value available to the code as the constant
+                      <name> (repeatable); quote strings: --arg user='"ada"'
+  --isolated          Run in an isolated world: the page's DOM, but none of
+                      its JavaScript globals (page overrides cannot interfere)
+  --json              Print the result as JSON (see schema below)
+  --help              Show this help message
 
 Examples:
   node browser-eval.js "document.title"
   node browser-eval.js "document.querySelectorAll('a').length"
-  node browser-eval.js "await fetch('/api/data').then(r => r.json())"
-  node browser-eval.js "document.querySelector('#username').value = 'test'"
+  node browser-eval.js "const r = await fetch('/api/data'); await r.json()"
+  node browser-eval.js "document.querySelector(sel).value = value" --arg sel='"#username"' --arg value='"test"'
+  node browser-eval.js --file scripts/collect-prices.js --arg limit=10 --json
+  echo "new Map([[1, document.body]])" | node browser-eval.js --file - --isolated
 
 Output Formatting:
-  - Arrays: key-value pairs separated by blank lines
-  - Objects: properties line by line
-  - Primitives: direct output
+  - JSON data (strings, numbers, plain objects and arrays):
+    - Arrays: key-value pairs separated by blank lines
+    - Objects: properties line by line
+    - Primitives: direct output
+  - Anything else (DOM nodes, Map, Set, Date, functions, class instances,
+    circular objects, undefined, NaN): a DevTools-style preview, e.g.
+    Map(2) {'a' => 1, 'b' => div#main}
+
+${OUTPUT_HELP}
+  JSON schema: {"result": <the value if it is JSON data, else null>,
+                "type": string, "preview": string}
+
+${CONNECTION_HELP}
 
 Notes:
-  - Code executes in async context (can use await)
+  - Top-level await works; promises are awaited before printing
+  - The script's own let/const/class declarations do not leak into the page
+  - An exception thrown by the code is reported with its stack trace (exit code 1)
   - Chrome must be running (use browser-start.js)
-  - Returns result via console.log
   `);
   process.exit(0);
 }
 
+function usageError(message) {
+  console.error(`Error: ${message}`);
+  process.exit(EXIT_CODES.ERROR);
+}
+
+function parseArgs(args) {
+  const values = {};
+  for (const spec of getOptions(args, '--arg')) {
+    const match = spec.match(/^([A-Za-z_$][\w$]*)=([\s\S]*)$/);
+    if (!match) {
+      usageError(`--arg must be <name>=<json> with a JavaScript identifier as name: ${spec}`);
+    }
+    const [, name, json] = match;
+    try {
+      values[name] = JSON.parse(json);
+    } catch {
+      usageError(`--arg ${name}: value is not valid JSON (quote strings: ${name}='"text"')`);
+    }
+  }
+  return values;
+}
+
+// The code and the name stack traces should use for it
+function readCode(args) {
+  const file = getOption(args, '--file', null);
+  const inline = getPositionals(args, VALUE_OPTIONS).join(' ');
+  if (file && inline) {
+    usageError('Pass the code either inline or with --file, not both');
+  }
+  if (!file) {
+    return { code: inline, sourceURL: 'eval.js' };
+  }
+  try {
+    return { code: readFileSync(file === '-' ? 0 : file, 'utf8'), sourceURL: file === '-' ? 'stdin.js' : file };
+  } catch (error) {
+    usageError(`Could not read ${file}: ${error.message}`);
+  }
+}
+
 function formatOutput(result) {
   if (result === null) {
     return 'null';
@@ -58,13 +121,15 @@ function formatOutput(result) {
 }
 
 async function main() {
-  const args = process.argv.slice(2);
+  const { args, endpoint, tab } = parseConnectionArgs(process.argv.slice(2));
 
   if (args.includes('--help') || args.length === 0) {
     showHelp();
   }
 
-  const code = args.join(' ');
+  const format = getOutputFormat(args);
+  const { code, sourceURL } = readCode(args);
+  const values = parseArgs(args);
 
   if (!code.trim()) {
     console.error('Error: JavaScript code is required');
@@ -73,44 +138,36 @@ async function main() {
 
   let browser;
   try {
-    browser = await puppeteer.connect({
-      browserURL: `http://localhost:${REMOTE_DEBUGGING_PORT}`,
-      defaultViewport: null,
-      timeout: CONNECTION_TIMEOUT_MS
-    });
+    browser = await connectBrowser(endpoint);
 
-    const pages = await browser.pages();
-    const page = pages[0];
+    const page = await getActivePage(browser, { endpoint, tab });
 
-    if (!page) {
-      throw new Error('No active tab found. Navigate to a page first.');
+    const session = await page.createCDPSession();
+    let evaluation;
+    try {
+      const contextId = args.includes('--isolated') ? await createIsolatedWorld(session) : undefined;
+      evaluation = await evaluateScript(session, prepareScript(code, { args: values, sourceURL }), { contextId });
+    } finally {
+      await session.detach().catch(() => {});
     }
+    const { json, value, type, preview } = evaluation;
 
-    // Execute code in async context
-    const result = await page.evaluate((codeStr) => {
-      // Use Function constructor to evaluate in global scope
-      return eval(codeStr);
-    }, code);
-
-    console.log(formatOutput(result));
+    printResult(format, { result: value, type, preview }, () => (json ? formatOutput(value) : preview));
 
     await browser.disconnect();
     process.exit(0);
 
   } catch (error) {
-    if (error.message.includes('connect')) {
-      console.error('✗ Could not connect to Chrome on localhost:' + REMOTE_DEBUGGING_PORT);
-      console.error('  Make sure Chrome is running with remote debugging enabled.');
-      console.error('  Run: node browser-start.js');
-    } else {
-      console.error('✗ Evaluation failed:', error.message);
-    }
+    const exitCode = reportError(error, 'Evaluation failed', endpoint, format);
 
     if (browser) {
       await browser.disconnect();
     }
-    process.exit(1);
+    process.exit(exitCode);
   }
 }
 
-main();
+// parseConnectionArgs throws on a bad --port or --session before main's own error handling
+main().catch(error => {
+  process.exit(reportError(error, 'Invalid connection options', null, getOutputFormat(process.argv)));
+});
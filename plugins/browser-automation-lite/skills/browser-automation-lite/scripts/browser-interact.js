@@ -0,0 +1,264 @@
+#!/usr/bin/env node
+
+import { parseConnectionArgs, connectBrowser, getActivePage, reportError, CONNECTION_HELP, EXIT_CODES } from './lib/connection.js';
+import { getOutputFormat, printResult, OUTPUT_HELP } from './lib/output.js';
+import { getOption, getOptionArgs, getPositionals } from './lib/args.js';
+import { resolveActionableElement, DEFAULT_ELEMENT_TIMEOUT_MS } from './lib/elements.js';
+
+const VALUE_OPTIONS = ['--delay', '--timeout', '--nth'];
+
+// Commands, the positional arguments they need, whether the element must be enabled,
+// and how the result is reported
+const COMMANDS = {
+  click: { usage: 'click <selector>', args: 1, enabled: true, done: 'Clicked' },
+  type: { usage: 'type <selector> <text>', args: 2, enabled: true, done: 'Typed into' },
+  fill: { usage: 'fill <selector> <text>', args: 2, enabled: true, done: 'Filled' },
+  select: { usage: 'select <selector> <value...>', args: 2, enabled: true, done: 'Selected in' },
+  check: { usage: 'check <selector>', args: 1, enabled: true, done: 'Checked' },
+  uncheck: { usage: 'uncheck <selector>', args: 1, enabled: true, done: 'Unchecked' },
+  press: { usage: 'press <key> [selector]', args: 1, enabled: true, done: 'Pressed' },
+  hover: { usage: 'hover <selector>', args: 1, enabled: false, done: 'Hovered' },
+  scroll: { usage: 'scroll <selector>', args: 1, enabled: false, done: 'Scrolled to' },
+  focus: { usage: 'focus <selector>', args: 1, enabled: false, done: 'Focused' }
+};
+
+function showHelp() {
+  console.log(`
+Usage: node browser-interact.js <command> <selector> [value] [options]
+
+Click, type, select and more through real mouse and keyboard events,
+so framework-controlled inputs (React, Vue, ...) see them.
+
+Commands:
+  click <selector>                Click the element
+  type <selector> <text>          Type text at the end of the current value
+  fill <selector> <text>          Replace the current value with text
+  select <selector> <value...>    Choose <select> options by value or visible label
+  check <selector>                Tick a checkbox or radio button (no-op if already checked)
+  uncheck <selector>              Untick a checkbox (no-op if already unchecked)
+  press <key> [selector]          Press a key or combo (Enter, Tab, Control+A), focusing selector first
+  hover <selector>                Move the mouse over the element
+  scroll <selector>               Scroll the element into view
+  focus <selector>                Focus the element
+
+Options:
+  --delay <ms>      type/fill: delay between key presses (default: 0)
+  --timeout <ms>    How long to wait for the element to appear and become actionable
+                    (default: ${DEFAULT_ELEMENT_TIMEOUT_MS})
+  --nth <index>     Act on the nth match (0-based) when the selector matches several elements
+  --json            Print the result as JSON
+  --help            Show this help message
+
+${OUTPUT_HELP}
+  JSON schema: {"action": string, "selector": string | null, "index": number | null,
+                "matches": number | null, "value"?: string | string[] | boolean}
+
+Examples:
+  node browser-interact.js fill "#username" "myuser"
+  node browser-interact.js fill "input[type=password]" "$PASSWORD"
+  node browser-interact.js click "button[type=submit]"
+  node browser-interact.js type "#search" "web scraping" --delay 50
+  node browser-interact.js select "#country" "Italy"
+  node browser-interact.js check "#agree-terms"
+  node browser-interact.js press Enter "#search"
+  node browser-interact.js click ".result a" --nth 2
+  node browser-interact.js type "#pw" -- "--secret"
+
+${CONNECTION_HELP}
+
+Notes:
+  - Chrome must be running (use browser-start.js)
+  - Waits for the element to exist, be visible and (except hover/scroll/focus) enabled
+  - A selector matching several elements is an error unless --nth is given
+  - Arguments after -- are never read as options, for text that starts with --
+  - Find selectors with browser-pick.js
+  `);
+  process.exit(0);
+}
+
+function formatInteraction(result) {
+  if (result.action === 'press') {
+    return `✓ Pressed ${result.value}` + (result.selector ? ` in ${result.selector}` : '');
+  }
+  const detail = result.value === undefined ? '' : ` (${Array.isArray(result.value) ? result.value.join(', ') : result.value})`;
+  return `✓ ${COMMANDS[result.action].done}: ${result.selector}${detail}`;
+}
+
+// "Control+Shift+K" -> hold the modifiers while pressing the last key
+async function pressCombo(page, combo) {
+  const keys = combo.split('+');
+  const key = keys.pop();
+  for (const modifier of keys) {
+    await page.keyboard.down(modifier);
+  }
+  await page.keyboard.press(key);
+  for (const modifier of keys.reverse()) {
+    await page.keyboard.up(modifier);
+  }
+}
+
+async function fillElement(page, handle, text, delay) {
+  await handle.click();
+  const hasValue = await handle.evaluate(el => {
+    if (typeof el.select === 'function' && 'value' in el) {
+      el.select();
+      return el.value.length > 0;
+    }
+    const range = document.createRange();
+    range.selectNodeContents(el);
+    const selection = window.getSelection();
+    selection.removeAllRanges();
+    selection.addRange(range);
+    return el.textContent.length > 0;
+  });
+  if (hasValue) {
+    await page.keyboard.press('Backspace');
+  }
+  if (text) {
+    await handle.type(text, { delay });
+  }
+}
+
+async function selectOptions(handle, wanted) {
+  // Translate visible labels to option values so either can be passed
+  const values = await handle.evaluate((el, labels) => {
+    if (el.tagName !== 'SELECT') {
+      throw new Error(`Element is a <${el.tagName.toLowerCase()}>, not a <select>`);
+    }
+    const options = Array.from(el.options);
+    return labels.map(label => {
+      const option = options.find(o => o.value === label) || options.find(o => o.label.trim() === label || o.text.trim() === label);
+      if (!option) {
+        throw new Error(`No option with value or label "${label}" (available: ${options.map(o => o.label.trim() || o.value).join(', ')})`);
+      }
+      return option.value;
+    });
+  }, wanted);
+
+  return handle.select(...values);
+}
+
+async function setChecked(handle, checked) {
+  const current = await handle.evaluate(el => {
+    if (!('checked' in el)) {
+      throw new Error(`Element is a <${el.tagName.toLowerCase()}>, not a checkbox or radio button`);
+    }
+    return el.checked;
+  });
+
+  if (current !== checked) {
+    await handle.click();
+    const now = await handle.evaluate(el => el.checked);
+    if (now !== checked) {
+      throw new Error(`Clicking did not ${checked ? 'check' : 'uncheck'} the element`);
+    }
+  }
+  return checked;
+}
+
+async function interact(page, command, params, options) {
+  const { delay, timeout, nth } = options;
+
+  if (command === 'press') {
+    const [key, selector] = params;
+    let target = { index: null, count: null };
+    if (selector) {
+      target = await resolveActionableElement(page, selector, { nth, enabled: true, timeout });
+      await target.handle.focus();
+    }
+    await pressCombo(page, key);
+    return { action: command, selector: selector || null, index: target.index, matches: target.count, value: key };
+  }
+
+  const [selector, ...values] = params;
+  const { handle, index, count } = await resolveActionableElement(page, selector, { nth, enabled: COMMANDS[command].enabled, timeout });
+
+  const result = { action: command, selector, index, matches: count };
+
+  if (command === 'click') {
+    await handle.click();
+  } else if (command === 'type') {
+    await handle.type(values.join(' '), { delay });
+    result.value = values.join(' ');
+  } else if (command === 'fill') {
+    await fillElement(page, handle, values.join(' '), delay);
+    result.value = values.join(' ');
+  } else if (command === 'select') {
+    result.value = await selectOptions(handle, values);
+  } else if (command === 'check' || command === 'uncheck') {
+    result.value = await setChecked(handle, command === 'check');
+  } else if (command === 'hover') {
+    await handle.hover();
+  } else if (command === 'scroll') {
+    await handle.scrollIntoView();
+  } else {
+    await handle.focus();
+  }
+
+  return result;
+}
+
+function parseNumberOption(args, name, fallback) {
+  const value = getOption(args, name);
+  if (value === undefined) {
+    return fallback;
+  }
+  if (!/^\d+$/.test(value)) {
+    console.error(`Error: ${name} must be a non-negative integer`);
+    process.exit(EXIT_CODES.ERROR);
+  }
+  return Number(value);
+}
+
+async function main() {
+  const { args, endpoint, tab } = parseConnectionArgs(process.argv.slice(2));
+
+  const optionArgs = getOptionArgs(args);
+  if (optionArgs.includes('--help') || args.length === 0) {
+    showHelp();
+  }
+
+  const format = getOutputFormat(optionArgs);
+  const [command, ...params] = getPositionals(args, VALUE_OPTIONS);
+
+  if (!COMMANDS[command]) {
+    console.error(`Error: ${command ? `Unknown command "${command}"` : 'A command is required'}`);
+    showHelp();
+  }
+  if (params.length < COMMANDS[command].args) {
+    console.error(`Error: Usage: ${COMMANDS[command].usage}`);
+    showHelp();
+  }
+
+  const options = {
+    delay: parseNumberOption(args, '--delay', 0),
+    timeout: parseNumberOption(args, '--timeout', DEFAULT_ELEMENT_TIMEOUT_MS),
+    nth: parseNumberOption(args, '--nth', undefined)
+  };
+
+  let browser;
+  try {
+    browser = await connectBrowser(endpoint);
+
+    const page = await getActivePage(browser, { endpoint, tab });
+
+    const result = await interact(page, command, params, options);
+    printResult(format, result, formatInteraction);
+
+    await browser.disconnect();
+    process.exit(0);
+
+  } catch (error) {
+    const exitCode = reportError(error, `${command} failed`, endpoint, format);
+
+    if (browser) {
+      await browser.disconnect();
+    }
+    process.exit(exitCode);
+  }
+}
+
+// parseConnectionArgs throws on a bad --port or --session before main's own error handling
+main().catch(error => {
+  process.exit(reportError(error, 'Invalid connection options', null, getOutputFormat(process.argv)));
+});
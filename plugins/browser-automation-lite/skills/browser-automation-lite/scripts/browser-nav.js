@@ -1,95 +1,142 @@
 #!/usr/bin/env node
 
-import puppeteer from 'puppeteer-core';
+import { parseConnectionArgs, connectBrowser, getActivePage, reportError, httpError, CONNECTION_HELP, EXIT_CODES } from './lib/connection.js';
+import { getOutputFormat, printResult, OUTPUT_HELP } from './lib/output.js';
+import { getOption, getPositionals } from './lib/args.js';
+import { navigatePage, formatNavigation, DEFAULT_NAVIGATION_TIMEOUT_MS, WAIT_UNTIL, HISTORY_ACTIONS } from './lib/navigation.js';
 
-const REMOTE_DEBUGGING_PORT = 9222;
-const CONNECTION_TIMEOUT_MS = 5000;
+const VALUE_OPTIONS = ['--wait-until', '--timeout', '--referer'];
 
 function showHelp() {
   console.log(`
 Usage: node browser-nav.js <url> [options]
+       node browser-nav.js back|forward|reload [options]
 
-Navigate the browser to a specific URL.
+Navigate the browser to a specific URL, or move through the tab's history.
 
 Arguments:
-  url          The URL to navigate to (required)
+  url          The URL to navigate to
+  back         Go to the previous page in the tab's history
+  forward      Go to the next page in the tab's history
+  reload       Reload the current page
 
 Options:
-  --new        Open URL in a new tab (default: reuse current tab)
-  --help       Show this help message
+  --new                 Open URL in a new tab (default: reuse current tab)
+                        The printed tab id can be passed to --tab in other scripts
+  --wait-until <event>  When navigation counts as finished (default: domcontentloaded):
+                          domcontentloaded  HTML parsed
+                          load              page and its resources loaded
+                          networkidle0      no network connections for 500ms
+                          networkidle2      at most 2 network connections for 500ms
+  --timeout <ms>        Navigation timeout (default: ${DEFAULT_NAVIGATION_TIMEOUT_MS})
+  --referer <url>       Referer header to send with the request (URL navigation only)
+  --help                Show this help message
 
 Examples:
   node browser-nav.js "https://example.com"
   node browser-nav.js "https://github.com" --new
+  node browser-nav.js "https://app.example.com" --wait-until networkidle2 --timeout 60000
+  node browser-nav.js "https://example.com/page" --referer "https://www.google.com/"
+  node browser-nav.js back
+  node browser-nav.js reload --wait-until load
+
+${OUTPUT_HELP}
+  JSON schema: {"action": "goto" | "back" | "forward" | "reload", "url": string, "title": string,
+                "tab": string, "status": number | null, "statusText": string | null,
+                "contentType": string | null, "redirects": [{"url": string, "status": number}]}
+
+${CONNECTION_HELP}
 
 Notes:
   - Chrome must be running with remote debugging (use browser-start.js)
-  - Waits for DOMContentLoaded event before returning
-  - Navigation timeout is 30 seconds
+  - A 4xx/5xx response exits with code ${EXIT_CODES.HTTP_ERROR}; in --json mode the result is
+    still printed so the status can be inspected
+  - status is null when no document was fetched (same-page anchors, history entries
+    served from the back/forward cache)
   `);
   process.exit(0);
 }
 
 async function main() {
-  const args = process.argv.slice(2);
+  const { args, endpoint, tab } = parseConnectionArgs(process.argv.slice(2));
 
   if (args.includes('--help') || args.length === 0) {
     showHelp();
   }
 
-  const url = args.find(arg => !arg.startsWith('--'));
+  const [target] = getPositionals(args, VALUE_OPTIONS);
   const openNewTab = args.includes('--new');
+  const format = getOutputFormat(args);
+  const waitUntil = getOption(args, '--wait-until', 'domcontentloaded');
+  const timeoutArg = getOption(args, '--timeout', String(DEFAULT_NAVIGATION_TIMEOUT_MS));
+  const referer = getOption(args, '--referer');
 
-  if (!url) {
+  if (!target) {
     console.error('Error: URL is required');
     showHelp();
   }
+  if (!WAIT_UNTIL.includes(waitUntil)) {
+    console.error(`Error: --wait-until must be one of: ${WAIT_UNTIL.join(', ')}`);
+    process.exit(EXIT_CODES.ERROR);
+  }
+  if (!/^\d+$/.test(timeoutArg)) {
+    console.error('Error: --timeout must be a number of milliseconds');
+    process.exit(EXIT_CODES.ERROR);
+  }
+
+  const action = HISTORY_ACTIONS.includes(target) ? target : 'goto';
+  const timeout = Number(timeoutArg);
+
+  if (action !== 'goto' && (openNewTab || referer)) {
+    console.error(`Error: --new and --referer only apply to URL navigation, not ${action}`);
+    process.exit(EXIT_CODES.ERROR);
+  }
 
   let browser;
   try {
-    browser = await puppeteer.connect({
-      browserURL: `http://localhost:${REMOTE_DEBUGGING_PORT}`,
-      defaultViewport: null,
-      timeout: CONNECTION_TIMEOUT_MS
-    });
+    browser = await connectBrowser(endpoint);
 
     let page;
     if (openNewTab) {
       page = await browser.newPage();
     } else {
-      const pages = await browser.pages();
-      page = pages[0] || await browser.newPage();
+      page = await getActivePage(browser, { endpoint, tab, create: action === 'goto' });
     }
 
-    await page.goto(url, { waitUntil: 'domcontentloaded', timeout: 30000 });
+    const result = await navigatePage(page, target, { waitUntil, timeout, referer });
 
-    const finalUrl = page.url();
-    const title = await page.title();
+    if (result.status !== null && result.status >= 400) {
+      if (format !== 'text') {
+        printResult(format, result);
+      }
+      const statusText = result.statusText ? ` ${result.statusText}` : '';
+      throw httpError(`HTTP ${result.status}${statusText}: ${result.url}`);
+    }
 
-    console.log(`✓ Navigated to: ${finalUrl}`);
-    console.log(`  Title: ${title}`);
+    printResult(format, result, formatNavigation);
 
     await browser.disconnect();
     process.exit(0);
 
   } catch (error) {
-    if (error.message.includes('connect')) {
-      console.error('✗ Could not connect to Chrome on localhost:' + REMOTE_DEBUGGING_PORT);
-      console.error('  Make sure Chrome is running with remote debugging enabled.');
-      console.error('  Run: node browser-start.js');
-    } else if (error.message.includes('Navigation timeout')) {
-      console.error('✗ Navigation timeout after 30 seconds');
-      console.error('  The page took too long to load.');
-      console.error('  URL:', url);
+    let exitCode;
+    if (format === 'text' && error.message.includes('Navigation timeout')) {
+      console.error(`✗ Navigation timeout after ${timeout / 1000} seconds (waiting for ${waitUntil})`);
+      console.error('  The page took too long to load. Try a larger --timeout or --wait-until domcontentloaded.');
+      console.error('  URL:', action === 'goto' ? target : action);
+      exitCode = EXIT_CODES.TIMEOUT;
     } else {
-      console.error('✗ Navigation failed:', error.message);
+      exitCode = reportError(error, 'Navigation failed', endpoint, format);
     }
 
     if (browser) {
       await browser.disconnect();
     }
-    process.exit(1);
+    process.exit(exitCode);
   }
 }
 
-main();
+// parseConnectionArgs throws on a bad --port or --session before main's own error handling
+main().catch(error => {
+  process.exit(reportError(error, 'Invalid connection options', null, getOutputFormat(process.argv)));
+});
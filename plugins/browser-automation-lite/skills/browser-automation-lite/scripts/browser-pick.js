@@ -1,17 +1,23 @@
 #!/usr/bin/env node
 
-import puppeteer from 'puppeteer-core';
+import { parseConnectionArgs, connectBrowser, getActivePage, reportError, CONNECTION_HELP, EXIT_CODES } from './lib/connection.js';
+import { getOutputFormat, printResult, logProgress, OUTPUT_HELP } from './lib/output.js';
+import { getOption, getOptions } from './lib/args.js';
+import { DEFAULT_STYLES } from './lib/inspect.js';
+import { pickElements, inspectElements, formatElementInfo, QUERIES } from './lib/pick.js';
 
-const REMOTE_DEBUGGING_PORT = 9222;
-const CONNECTION_TIMEOUT_MS = 5000;
+const DEFAULT_LIMIT = 20;
 
 function showHelp() {
   console.log(`
-Usage: node browser-pick.js
+Usage: node browser-pick.js [options]
+       node browser-pick.js --selector <css> | --text <text> | --xpath <xpath> [options]
 
-Interactive element selector for DOM inspection.
+Interactive element selector for DOM inspection, or (given a query) a
+non-interactive inspect mode that reports the same details for every match,
+with no mouse involved (works in headless sessions).
 
-Controls:
+Controls (interactive):
   Click              Select single element
   Cmd/Ctrl+Click     Multi-select elements
   Enter              Confirm selections
@@ -20,274 +26,139 @@ Controls:
 Output:
   For each selected element:
   - Tag name
-  - ID and classes
+  - ID, classes and all attributes
+  - Role and accessible name
+  - Bounding box, visibility, whether it is in the viewport and enabled
   - Text content (first 200 chars)
   - HTML snippet (500 chars)
-  - CSS selector
-  - Parent hierarchy
+  - CSS selector, checked to match only the picked element; prefers data-testid,
+    stable ids, aria-label and name over classes and positions
+  - XPath and, when the text is unique, a text-based XPath
+  - The iframes that contain the element, if any
+
+Inspect mode:
+  --selector <css>   Inspect every element matching a CSS selector (>>> pierces shadow DOM)
+  --text <text>      Inspect the elements whose text contains <text>
+  --xpath <xpath>    Inspect the elements matching an XPath expression
+  --styles           Include common computed styles (${DEFAULT_STYLES.slice(0, 4).join(', ')}, ...)
+  --style <name>     Include a computed style property (repeatable)
+  --limit <n>        Report at most <n> matches (default: ${DEFAULT_LIMIT})
+  Matches are searched in every frame, including cross-origin iframes.
+
+Options:
+  --json             Print the selection as JSON
+  --jsonl            Print one JSON element per line
+  --help             Show this help message
+
+${OUTPUT_HELP}
+  JSON schema (per element): {"tag": string, "id": string, "classes": string, "text": string,
+                              "html": string, "attributes": {name: value},
+                              "role": string | null, "name": string,
+                              "selector": string, "unique": boolean,
+                              "xpath": string | null, "textXPath": string | null,
+                              "frames": string[],
+                              "position": {"top", "left", "width", "height": number},
+                              "visible": boolean, "inViewport": boolean, "enabled": boolean,
+                              "styles"?: {property: value}}
+  A single click yields one element, Enter yields an array, Escape yields null.
+  Inspect mode yields an array of matches; no match exits with code ${EXIT_CODES.NO_ELEMENT}.
 
 Examples:
   node browser-pick.js
+  node browser-pick.js --json
+  node browser-pick.js --selector "form button"
+  node browser-pick.js --text "Add to cart" --json
+  node browser-pick.js --xpath "//input[@type='email']" --style color --style border
+  node browser-pick.js --selector ".modal" --styles
+
+${CONNECTION_HELP}
 
 Notes:
   - Chrome must be running (use browser-start.js)
   - Navigate to page first (use browser-nav.js)
   - Visual overlay shows selections in real-time
+  - Elements inside shadow roots get selectors like "my-widget >>> button.primary";
+    browser-interact.js and browser-wait.js accept them, document.querySelector does not
+  - Elements inside same-origin iframes can be picked; their selector applies inside
+    the frame listed under Frames (cross-origin frames cannot be picked into)
+  - Role and name follow ARIA attributes, labels and text; they approximate, but are not
+    read from, the browser's accessibility tree
+  - Use an XPath in browser-eval.js with document.evaluate, or as ::-p-xpath(...) in
+    browser-interact.js and browser-wait.js
   `);
   process.exit(0);
 }
 
-const PICKER_SCRIPT = `
-(function() {
-  const selectedElements = [];
-  let currentHighlight = null;
-
-  const style = document.createElement('style');
-  style.textContent = \`
-    .picker-highlight {
-      outline: 2px solid #4A9EFF !important;
-      outline-offset: 2px !important;
-    }
-    .picker-selected {
-      outline: 2px solid #4AFF9E !important;
-      outline-offset: 2px !important;
-      background-color: rgba(74, 255, 158, 0.1) !important;
-    }
-    .picker-banner {
-      position: fixed;
-      top: 0;
-      left: 0;
-      right: 0;
-      background: #2D3748;
-      color: white;
-      padding: 12px;
-      font-family: monospace;
-      font-size: 14px;
-      z-index: 999999;
-      text-align: center;
-    }
-  \`;
-  document.head.appendChild(style);
-
-  const banner = document.createElement('div');
-  banner.className = 'picker-banner';
-  banner.textContent = 'Element Picker: Click to select | Cmd/Ctrl+Click for multi-select | Enter to confirm | Escape to cancel';
-  document.body.appendChild(banner);
-
-  function updateBanner() {
-    banner.textContent = \`Selected: \${selectedElements.length} elements | Enter to confirm | Escape to cancel\`;
-  }
-
-  function getSelector(element) {
-    if (element.id) {
-      return '#' + element.id;
-    }
-
-    const path = [];
-    let current = element;
-
-    while (current && current !== document.body) {
-      let selector = current.tagName.toLowerCase();
-
-      if (current.className) {
-        const classes = current.className.trim().split(/\\s+/)
-          .filter(c => !c.startsWith('picker-'))
-          .slice(0, 2);
-        if (classes.length > 0) {
-          selector += '.' + classes.join('.');
-        }
-      }
-
-      path.unshift(selector);
-      current = current.parentElement;
-    }
-
-    return path.join(' > ');
-  }
-
-  function getElementInfo(element) {
-    const rect = element.getBoundingClientRect();
-    return {
-      tag: element.tagName.toLowerCase(),
-      id: element.id || '',
-      classes: element.className ? element.className.split(/\\s+/).filter(c => !c.startsWith('picker-')).join(' ') : '',
-      text: (element.textContent || '').trim().substring(0, 200),
-      html: element.outerHTML.substring(0, 500),
-      selector: getSelector(element),
-      position: {
-        top: rect.top,
-        left: rect.left,
-        width: rect.width,
-        height: rect.height
-      }
-    };
-  }
-
-  function handleMouseOver(e) {
-    if (e.target === banner) return;
-
-    if (currentHighlight && currentHighlight !== e.target) {
-      currentHighlight.classList.remove('picker-highlight');
-    }
-
-    if (!selectedElements.includes(e.target)) {
-      e.target.classList.add('picker-highlight');
-      currentHighlight = e.target;
-    }
+function parseQuery(args) {
+  const given = Object.keys(QUERIES).filter(name => args.includes(name));
+  if (given.length > 1) {
+    console.error(`Error: use only one of ${Object.keys(QUERIES).join(', ')}`);
+    process.exit(EXIT_CODES.ERROR);
   }
-
-  function handleMouseOut(e) {
-    if (e.target !== banner) {
-      e.target.classList.remove('picker-highlight');
-    }
+  if (given.length === 0) {
+    return null;
   }
-
-  function cleanup() {
-    document.querySelectorAll('.picker-highlight, .picker-selected').forEach(el => {
-      el.classList.remove('picker-highlight', 'picker-selected');
-    });
-
-    if (banner.parentNode) {
-      banner.parentNode.removeChild(banner);
-    }
-    if (style.parentNode) {
-      style.parentNode.removeChild(style);
-    }
+  const value = getOption(args, given[0]);
+  if (!value) {
+    console.error(`Error: ${given[0]} requires a value`);
+    process.exit(EXIT_CODES.ERROR);
   }
+  return { option: given[0], value };
+}
 
-  document.addEventListener('mouseover', handleMouseOver);
-  document.addEventListener('mouseout', handleMouseOut);
-
-  return new Promise((resolve) => {
-    function handleClick(e) {
-      e.preventDefault();
-      e.stopPropagation();
-
-      if (e.target === banner) return;
-
-      if (e.metaKey || e.ctrlKey) {
-        // Multi-select
-        const index = selectedElements.indexOf(e.target);
-        if (index > -1) {
-          selectedElements.splice(index, 1);
-          e.target.classList.remove('picker-selected');
-        } else {
-          selectedElements.push(e.target);
-          e.target.classList.add('picker-selected');
-        }
-        e.target.classList.remove('picker-highlight');
-        updateBanner();
-      } else {
-        // Single select - finish immediately
-        document.removeEventListener('mouseover', handleMouseOver);
-        document.removeEventListener('mouseout', handleMouseOut);
-        document.removeEventListener('click', handleClick, true);
-        document.removeEventListener('keydown', handleKeyDown);
-        cleanup();
-        resolve(getElementInfo(e.target));
-      }
-    }
-
-    function handleKeyDown(e) {
-      if (e.key === 'Enter') {
-        e.preventDefault();
-        document.removeEventListener('mouseover', handleMouseOver);
-        document.removeEventListener('mouseout', handleMouseOut);
-        document.removeEventListener('click', handleClick, true);
-        document.removeEventListener('keydown', handleKeyDown);
-        cleanup();
-        resolve(selectedElements.map(getElementInfo));
-      } else if (e.key === 'Escape') {
-        e.preventDefault();
-        document.removeEventListener('mouseover', handleMouseOver);
-        document.removeEventListener('mouseout', handleMouseOut);
-        document.removeEventListener('click', handleClick, true);
-        document.removeEventListener('keydown', handleKeyDown);
-        cleanup();
-        resolve(null);
-      }
-    }
-
-    document.addEventListener('click', handleClick, true);
-    document.addEventListener('keydown', handleKeyDown);
-  });
-})();
-`;
-
-function formatElementInfo(info) {
-  if (Array.isArray(info)) {
-    return info.map((el, i) => {
-      return `
-[${i}]
-Tag: ${el.tag}
-ID: ${el.id || '(none)'}
-Classes: ${el.classes || '(none)'}
-Selector: ${el.selector}
-Text: ${el.text || '(none)'}
-HTML: ${el.html}
-`.trim();
-    }).join('\n\n' + '='.repeat(60) + '\n\n');
-  } else {
-    return `
-Tag: ${info.tag}
-ID: ${info.id || '(none)'}
-Classes: ${info.classes || '(none)'}
-Selector: ${info.selector}
-Text: ${info.text || '(none)'}
-HTML: ${info.html}
-`.trim();
+function parseInspectOptions(args) {
+  const limit = getOption(args, '--limit', String(DEFAULT_LIMIT));
+  if (!/^\d+$/.test(limit) || Number(limit) === 0) {
+    console.error('Error: --limit must be a positive integer');
+    process.exit(EXIT_CODES.ERROR);
   }
+  const styles = [...(args.includes('--styles') ? DEFAULT_STYLES : []), ...getOptions(args, '--style')];
+  return { limit: Number(limit), styles: [...new Set(styles)] };
 }
 
 async function main() {
-  const args = process.argv.slice(2);
+  const { args, endpoint, tab } = parseConnectionArgs(process.argv.slice(2));
 
   if (args.includes('--help')) {
     showHelp();
   }
 
+  const format = getOutputFormat(args);
+  const query = parseQuery(args);
+  const inspectOptions = parseInspectOptions(args);
+
   let browser;
   try {
-    browser = await puppeteer.connect({
-      browserURL: `http://localhost:${REMOTE_DEBUGGING_PORT}`,
-      defaultViewport: null,
-      timeout: CONNECTION_TIMEOUT_MS
-    });
-
-    const pages = await browser.pages();
-    const page = pages[0];
+    browser = await connectBrowser(endpoint);
 
-    if (!page) {
-      throw new Error('No active tab found. Navigate to a page first.');
-    }
+    const page = await getActivePage(browser, { endpoint, tab });
 
-    const result = await page.evaluate(PICKER_SCRIPT);
+    if (query) {
+      const { elements, total } = await inspectElements(page, query, inspectOptions);
+      if (total > elements.length) {
+        logProgress(format, `Showing ${elements.length} of ${total} matches (raise with --limit)`);
+      }
+      printResult(format, elements, formatElementInfo);
+    } else {
+      const result = await pickElements(page);
 
-    if (result === null) {
-      console.log('Selection cancelled');
-      await browser.disconnect();
-      process.exit(0);
+      printResult(format, result, info => info === null ? 'Selection cancelled' : formatElementInfo(info));
     }
 
-    console.log(formatElementInfo(result));
-
     await browser.disconnect();
     process.exit(0);
 
   } catch (error) {
-    if (error.message.includes('connect')) {
-      console.error('✗ Could not connect to Chrome on localhost:' + REMOTE_DEBUGGING_PORT);
-      console.error('  Make sure Chrome is running with remote debugging enabled.');
-      console.error('  Run: node browser-start.js');
-    } else {
-      console.error('✗ Element picker failed:', error.message);
-    }
+    const exitCode = reportError(error, query ? 'Element inspection failed' : 'Element picker failed', endpoint, format);
 
     if (browser) {
       await browser.disconnect();
     }
-    process.exit(1);
+    process.exit(exitCode);
   }
 }
 
-main();
+// parseConnectionArgs throws on a bad --port or --session before main's own error handling
+main().catch(error => {
+  process.exit(reportError(error, 'Invalid connection options', null, getOutputFormat(process.argv)));
+});
@@ -0,0 +1,356 @@
+#!/usr/bin/env node
+
+import repl from 'repl';
+import { mkdirSync } from 'fs';
+import { tmpdir } from 'os';
+import { dirname, extname, join, resolve } from 'path';
+import { inspect } from 'util';
+import vm from 'vm';
+import { parseConnectionArgs, connectBrowser, getActivePage, getTargetId, findTab, noTabError, reportError, CONNECTION_HELP, EXIT_CODES } from './lib/connection.js';
+import { getOption, getOptions, getPositionals, splitArgs } from './lib/args.js';
+import { prepareScript, evaluateScript } from './lib/evaluate.js';
+import { describeTabs, formatTabs } from './lib/tabs.js';
+import { navigatePage, formatNavigation, WAIT_UNTIL } from './lib/navigation.js';
+import { captureScreenshot, getTimestampFilename, EXTENSIONS, IMAGE_FORMATS } from './lib/screenshot.js';
+import { extractContent, renderContent, formatDocument, CONTENT_FORMATS } from './lib/content.js';
+import { getSection } from './lib/chunks.js';
+import { listCookies, formatCookies } from './lib/cookies.js';
+import { pickElements, inspectElements, formatElementInfo, QUERIES } from './lib/pick.js';
+import { DEFAULT_STYLES } from './lib/inspect.js';
+import { STATE_DIR } from './lib/state.js';
+
+const PROMPT = 'browser> ';
+const HISTORY_FILE = join(STATE_DIR, 'repl-history');
+const DEFAULT_PICK_LIMIT = 20;
+
+function showHelp() {
+  console.log(`
+Usage: node browser-repl.js [options]
+
+Interactive JavaScript console for a browser tab over one persistent
+connection. Each input is evaluated in the tab like in the DevTools console:
+top-level await works, and variables declared with let, const, var, function
+or class stay available to later inputs.
+
+Options:
+  --help              Show this help message
+
+Commands (run in the REPL's tab over its connection, like the matching scripts):
+  .nav <url> | back | forward | reload [--wait-until <event>] [--timeout <ms>]
+      Navigate the tab (browser-nav.js)
+  .shot [--output <path>] [--selector <css>] [--nth <index>] [--fullpage]
+      Take a screenshot; png unless --output ends in .jpg or .webp (browser-screenshot.js)
+  .content [--format markdown|text|html] [--selector <css>] [--exclude <css>]
+           [--section <id>] [--absolute-urls]
+      Print the tab's readable content (browser-content.js --current)
+  .cookies [--all] [--domain <domain>] [--name <name>]
+      List the tab's cookies, or with --all every cookie (browser-cookies.js)
+  .pick [--selector <css> | --text <text> | --xpath <xpath>] [--limit <n>] [--styles]
+      Pick elements with the mouse, or inspect the matches of a query (browser-pick.js)
+  .tab [tab]          List tabs, or switch the REPL to a tab (index, target id or URL substring)
+  .help               List all commands (.editor, .load, .save, .exit, ...)
+
+  For the other options (PDFs, baselines, cookie import and export, batch
+  extraction), run the scripts themselves.
+
+Examples:
+  node browser-repl.js
+  node browser-repl.js --tab github.com
+
+  browser> const links = [...document.querySelectorAll('a')]
+  browser> links.length
+  browser> await (await fetch('/api/user')).json()
+  browser> .shot --selector "#chart" --output chart.png
+  browser> .nav https://example.com/next --wait-until load
+
+${CONNECTION_HELP}
+
+Notes:
+  - Chrome must be running (use browser-start.js)
+  - Incomplete input (an open bracket, a trailing operator) continues on the next line
+  - History is saved in ${HISTORY_FILE}
+  - Variables live in the page: navigating or reloading the tab clears them, and
+    each tab has its own
+  - Values without a JSON form print as DevTools-style previews
+  `);
+  process.exit(0);
+}
+
+// Dot-command options are checked here instead of exiting like the scripts do
+function numberOption(argv, name, fallback) {
+  const value = getOption(argv, name);
+  if (value === undefined) {
+    return fallback;
+  }
+  if (!/^\d+$/.test(value)) {
+    throw new Error(`${name} must be a non-negative integer`);
+  }
+  return Number(value);
+}
+
+// True when the input cannot be complete yet, so the REPL asks for another line.
+// Only parsed, never run; `await` is blanked out because scripts cannot contain it.
+function isIncomplete(code) {
+  try {
+    new vm.Script(code.replace(/\bawait\b/g, '     '));
+    return false;
+  } catch (error) {
+    return /Unexpected end of input|Unterminated template literal/.test(error.message);
+  }
+}
+
+// Prefixes that can be completed: `docu`, `document.qu`, `window.location.hr`
+function splitCompletion(line) {
+  const match = line.match(/(?:^|[^\w$.])((?:[A-Za-z_$][\w$]*\.)*)([\w$]*)$/);
+  if (!match) {
+    return null;
+  }
+  return { object: match[1].slice(0, -1), partial: match[2] };
+}
+
+// Runs in the page with no side effects allowed, so getters and proxies are safe
+function completionExpression(object) {
+  const target = object || 'globalThis';
+  return `(() => {
+    const names = new Set();
+    for (let value = ${target}; value !== null && value !== undefined; value = Object.getPrototypeOf(value)) {
+      Object.getOwnPropertyNames(value).forEach(name => names.add(name));
+    }
+    return [...names];
+  })()`;
+}
+
+async function main() {
+  const { args, endpoint, tab } = parseConnectionArgs(process.argv.slice(2));
+
+  if (args.includes('--help')) {
+    showHelp();
+  }
+
+  let browser;
+  let page;
+  let session;
+  try {
+    browser = await connectBrowser(endpoint);
+    page = await getActivePage(browser, { endpoint, tab });
+    session = await page.createCDPSession();
+  } catch (error) {
+    const exitCode = reportError(error, 'REPL failed', endpoint);
+    if (browser) {
+      await browser.disconnect();
+    }
+    process.exit(exitCode);
+  }
+
+  let closing = false;
+  browser.on('disconnected', () => {
+    if (!closing) {
+      console.error('\n✗ Chrome closed the connection');
+      process.exit(EXIT_CODES.CONNECTION_REFUSED);
+    }
+  });
+
+  console.log(`Connected to ${page.url()} (tab ${await getTargetId(page)})`);
+  console.log('Type JavaScript to run it in the tab, .help for commands, .exit or Ctrl+D to quit');
+
+  // Inputs run one at a time and in order, also when they are piped in faster than they finish
+  let queue = Promise.resolve();
+  const enqueue = task => {
+    queue = queue.then(task);
+    return queue;
+  };
+
+  function describeFailure(error) {
+    if (error.kind === 'evaluation') {
+      return error.message;
+    }
+    const hint = page.isClosed() ? '\n  The tab was closed; switch to another one with .tab <tab>' : '';
+    return `✗ ${error.message}${hint}`;
+  }
+
+  let inputs = 0;
+  const server = repl.start({
+    prompt: PROMPT,
+    eval: (code, context, filename, callback) => {
+      if (!code.trim()) {
+        return callback(null);
+      }
+      if (isIncomplete(code)) {
+        return callback(new repl.Recoverable(new SyntaxError('Unexpected end of input')));
+      }
+      // The result arrives later; lines typed or pasted meanwhile start a new input
+      server.clearBufferedCommand();
+      enqueue(async () => {
+        try {
+          const sourceURL = `repl-${++inputs}.js`;
+          const result = await evaluateScript(session, prepareScript(code, { scoped: false, sourceURL }));
+          callback(null, result.json ? inspect(result.value, { colors: server.useColors, depth: 4 }) : result.preview);
+        } catch (error) {
+          callback(null, describeFailure(error));
+        }
+      });
+    },
+    writer: output => output,
+    completer: (line, callback) => {
+      if (line.startsWith('.')) {
+        const commands = Object.keys(server.commands).map(name => `.${name}`);
+        return callback(null, [commands.filter(name => name.startsWith(line)), line]);
+      }
+      const target = splitCompletion(line);
+      if (!target) {
+        return callback(null, [[], line]);
+      }
+      session.send('Runtime.evaluate', { expression: completionExpression(target.object), returnByValue: true, throwOnSideEffect: true, timeout: 500 })
+        .then(({ result, exceptionDetails }) => {
+          const names = exceptionDetails || !Array.isArray(result.value) ? [] : result.value;
+          callback(null, [names.filter(name => name.startsWith(target.partial)).sort(), target.partial]);
+        })
+        .catch(() => callback(null, [[], line]));
+    }
+  });
+
+  function defineCommand(name, help, action) {
+    server.defineCommand(name, {
+      help,
+      action(rest) {
+        server.clearBufferedCommand();
+        enqueue(async () => {
+          try {
+            await action(splitArgs(rest));
+          } catch (error) {
+            console.error(describeFailure(error));
+          }
+          server.displayPrompt();
+        });
+      }
+    });
+  }
+
+  defineCommand('nav', 'Navigate the tab: .nav <url> | back | forward | reload [--wait-until <event>] [--timeout <ms>]', async argv => {
+    const [target] = getPositionals(argv, ['--wait-until', '--timeout']);
+    const waitUntil = getOption(argv, '--wait-until', 'domcontentloaded');
+    if (!target) {
+      throw new Error('Usage: .nav <url> | back | forward | reload');
+    }
+    if (!WAIT_UNTIL.includes(waitUntil)) {
+      throw new Error(`--wait-until must be one of: ${WAIT_UNTIL.join(', ')}`);
+    }
+    console.log(formatNavigation(await navigatePage(page, target, { waitUntil, timeout: numberOption(argv, '--timeout') })));
+  });
+
+  defineCommand('shot', 'Take a screenshot: .shot [--output <path>] [--selector <css>] [--nth <index>] [--fullpage]', async argv => {
+    const output = getOption(argv, '--output');
+    const format = output ? EXTENSIONS[extname(output).toLowerCase()] : 'png';
+    if (!IMAGE_FORMATS.includes(format)) {
+      throw new Error('--output must end in .png, .jpg, .jpeg or .webp (use browser-screenshot.js --pdf for PDFs)');
+    }
+    const options = {
+      format,
+      selector: getOption(argv, '--selector'),
+      nth: numberOption(argv, '--nth'),
+      fullPage: argv.includes('--fullpage')
+    };
+    if (options.selector && options.fullPage) {
+      throw new Error('use only one of --selector and --fullpage');
+    }
+    if (options.nth !== undefined && !options.selector) {
+      throw new Error('--nth requires --selector');
+    }
+    const path = output ? resolve(output) : join(tmpdir(), getTimestampFilename('screenshot', format === 'jpeg' ? 'jpg' : format));
+    mkdirSync(dirname(path), { recursive: true });
+    await captureScreenshot(page, options, path);
+    console.log(path);
+  });
+
+  defineCommand('content', 'Print the tab\'s readable content: .content [--format <format>] [--selector <css>] [--exclude <css>] [--section <id>] [--absolute-urls]', async argv => {
+    const format = getOption(argv, '--format', 'markdown');
+    const section = getOption(argv, '--section');
+    if (!CONTENT_FORMATS.includes(format) || format === 'json') {
+      throw new Error('--format must be one of: markdown, text, html');
+    }
+    if (section && format !== 'markdown') {
+      throw new Error('--section needs markdown content');
+    }
+    const article = await extractContent(page, null, {
+      selector: getOption(argv, '--selector'),
+      exclude: getOptions(argv, '--exclude'),
+      absoluteUrls: argv.includes('--absolute-urls')
+    });
+    const content = renderContent(article, format);
+    console.log(formatDocument(article, format, { content: section ? getSection(content, section).content : content }));
+  });
+
+  defineCommand('cookies', 'List cookies: .cookies [--all] [--domain <domain>] [--name <name>]', async argv => {
+    const filters = { domain: getOption(argv, '--domain'), name: getOption(argv, '--name') };
+    console.log(formatCookies(await listCookies(argv.includes('--all') ? browser : page, filters)));
+  });
+
+  defineCommand('pick', 'Pick elements with the mouse, or inspect them: .pick [--selector <css> | --text <text> | --xpath <xpath>] [--limit <n>] [--styles]', async argv => {
+    const given = Object.keys(QUERIES).filter(name => argv.includes(name));
+    if (given.length > 1) {
+      throw new Error(`use only one of ${Object.keys(QUERIES).join(', ')}`);
+    }
+    if (given.length === 0) {
+      console.log('Click an element in the tab (Cmd/Ctrl+Click and Enter for several, Escape to cancel)');
+      const picked = await pickElements(page);
+      console.log(picked === null ? 'Selection cancelled' : formatElementInfo(picked));
+      return;
+    }
+    const query = { option: given[0], value: getOption(argv, given[0]) };
+    if (!query.value) {
+      throw new Error(`${query.option} requires a value`);
+    }
+    const limit = numberOption(argv, '--limit', DEFAULT_PICK_LIMIT);
+    if (limit === 0) {
+      throw new Error('--limit must be a positive integer');
+    }
+    const { elements, total } = await inspectElements(page, query, { limit, styles: argv.includes('--styles') ? DEFAULT_STYLES : [] });
+    console.log(formatElementInfo(elements));
+    if (total > elements.length) {
+      console.log(`Showing ${elements.length} of ${total} matches (raise with --limit)`);
+    }
+  });
+
+  defineCommand('tab', 'List tabs (* marks the REPL\'s), or switch to one: .tab [index | target id | URL substring]', async ([spec]) => {
+    const pages = await browser.pages();
+    if (spec === undefined) {
+      console.log(formatTabs(await describeTabs(pages, page.isClosed() ? null : await getTargetId(page))));
+      return;
+    }
+    const next = await findTab(pages, spec);
+    if (!next) {
+      throw noTabError(`No tab matches "${spec}"`);
+    }
+    // If the new session cannot be created, the REPL stays on the old tab
+    const nextSession = await next.createCDPSession();
+    await session.detach().catch(() => {});
+    page = next;
+    session = nextSession;
+    await page.bringToFront();
+    console.log(`✓ Switched to ${await getTargetId(page)}\n  URL: ${page.url()}`);
+  });
+
+  try {
+    mkdirSync(STATE_DIR, { recursive: true });
+    server.setupHistory(HISTORY_FILE, error => {
+      if (error) {
+        console.error(`Warning: history disabled (${error.message})`);
+      }
+    });
+  } catch (error) {
+    console.error(`Warning: history disabled (${error.message})`);
+  }
+
+  server.on('exit', async () => {
+    closing = true;
+    await queue;
+    await session.detach().catch(() => {});
+    await browser.disconnect();
+    process.exit(EXIT_CODES.OK);
+  });
+}
+
+// parseConnectionArgs throws on a bad --port or --session before main's own error handling
+main().catch(error => {
+  process.exit(reportError(error, 'Invalid connection options', null, 'text'));
+});
@@ -1,99 +1,335 @@
 #!/usr/bin/env node
 
-import puppeteer from 'puppeteer-core';
+import { mkdirSync } from 'fs';
 import { tmpdir } from 'os';
-import { join } from 'path';
+import { dirname, extname, join, resolve } from 'path';
+import { parseConnectionArgs, connectBrowser, getActivePage, reportError, CONNECTION_HELP, EXIT_CODES } from './lib/connection.js';
+import { getOutputFormat, printResult, OUTPUT_HELP } from './lib/output.js';
+import { getOption } from './lib/args.js';
+import { DEFAULT_ELEMENT_TIMEOUT_MS } from './lib/elements.js';
+import { DEFAULT_PIXEL_THRESHOLD } from './lib/visual-diff.js';
+import { captureScreenshot, compareWithBaseline, formatComparison, getTimestampFilename, IMAGE_FORMATS, EXTENSIONS } from './lib/screenshot.js';
 
-const REMOTE_DEBUGGING_PORT = 9222;
-const CONNECTION_TIMEOUT_MS = 5000;
+const PAPER_SIZES = ['letter', 'legal', 'tabloid', 'ledger', 'a0', 'a1', 'a2', 'a3', 'a4', 'a5', 'a6'];
+const DEFAULT_PAPER = 'a4';
+const DEFAULT_MARGIN = '1cm';
+const DEFAULT_BASELINE_DIR = 'visual-baselines';
+
+// Options that only apply to one of the two modes
+const IMAGE_ONLY = ['--selector', '--nth', '--clip', '--fullpage', '--format', '--quality', '--omit-background'];
+const PDF_ONLY = ['--paper', '--landscape', '--margin'];
+const COMPARE_ONLY = ['--baseline-dir', '--update', '--threshold', '--pixel-threshold', '--include-aa'];
 
 function showHelp() {
   console.log(`
 Usage: node browser-screenshot.js [options]
 
-Capture a screenshot of the current browser viewport.
+Capture a screenshot of the current browser viewport, a region, a single
+element or the full page, print the page to PDF, or compare a capture with
+a saved baseline.
+
+Region (default: the viewport):
+  --fullpage            Capture the full scrollable page
+  --selector <css>      Capture a single element (scrolled into view as needed)
+  --nth <index>         --selector: capture the nth match (0-based) when several match
+  --clip <x,y,w,h>      Capture a rectangle in CSS pixels from the top-left of the page
+
+Image:
+  --output <path>       Write to <path> (default: /tmp/screenshot-<timestamp>.<ext>);
+                        the extension picks the format when --format is not given
+  --format <format>     png, jpeg or webp (default: png)
+  --quality <0-100>     jpeg/webp quality
+  --viewport <WxH>      Resize the viewport for the capture, e.g. 1280x800
+  --scale <factor>      Device scale factor for the capture, e.g. 2 for retina images
+  --omit-background     Transparent background instead of white (png/webp)
+  --timeout <ms>        --selector: how long to wait for the element (default: ${DEFAULT_ELEMENT_TIMEOUT_MS})
+
+PDF:
+  --pdf                 Print the page to PDF instead (default: /tmp/page-<timestamp>.pdf)
+  --paper <size>        ${PAPER_SIZES.join(', ')} (default: ${DEFAULT_PAPER})
+  --landscape           Landscape orientation
+  --margin <margins>    CSS-style margins: "1cm", "1cm,2cm" or "top,right,bottom,left";
+                        units px, in, cm or mm (default: ${DEFAULT_MARGIN})
+
+Visual comparison (PNG only; combine with the region and viewport options):
+  --baseline <name>         Compare the capture with baseline <name>, saving it
+                            as the baseline when there is none yet
+  --baseline-dir <dir>      Where baselines are kept (default: ./${DEFAULT_BASELINE_DIR})
+  --update                  Replace the baseline with the current capture
+  --threshold <percent>     Share of pixels allowed to change (default: 0)
+  --pixel-threshold <0-1>   Colour difference a pixel may have before it counts as
+                            changed (default: ${DEFAULT_PIXEL_THRESHOLD})
+  --include-aa              Count anti-aliasing differences (ignored by default)
 
-Options:
-  --fullpage    Capture full page (not just viewport)
-  --help        Show this help message
+  --json                Print the result as JSON
+  --help                Show this help message
 
 Examples:
   node browser-screenshot.js
   node browser-screenshot.js --fullpage
+  node browser-screenshot.js --selector "#checkout-form" --output docs/checkout.png
+  node browser-screenshot.js --clip 0,0,800,400 --format jpeg --quality 80
+  node browser-screenshot.js --viewport 375x812 --scale 3 --output mobile.png
+  node browser-screenshot.js --selector ".logo" --omit-background --output logo.png
+  node browser-screenshot.js --pdf --paper letter --margin 0.5in --output report.pdf
+  node browser-screenshot.js --baseline header --selector "header" --threshold 0.5
+  node browser-screenshot.js --baseline header --selector "header" --update
 
 Output:
-  - Saves PNG screenshot to /tmp with timestamp filename
-  - Prints full file path to stdout
+  - Saves the file (to /tmp with a timestamp filename unless --output is given)
+  - Prints the full file path to stdout
+
+${OUTPUT_HELP}
+  JSON schema: {"path": string, "url": string, "format": "png" | "jpeg" | "webp" | "pdf",
+                "fullPage": boolean, "selector": string | null,
+                "clip": {"x", "y", "width", "height"} | null}
+  With --baseline: {"baseline": string, "status": "created" | "updated" | "match" | "changed",
+                "path": string, "actual": string | null, "diff": string | null,
+                "diffPixels": number, "diffPercent": number, "threshold": number,
+                "sizeChanged": boolean, "url": string}
+
+${CONNECTION_HELP}
 
 Notes:
   - Chrome must be running (use browser-start.js)
   - Navigate to desired page first (use browser-nav.js)
   - Timestamp format: YYYY-MM-DD-HH-mm-ss
+  - --viewport and --scale are reset after the capture; the page re-lays out while they apply
+  - --pdf uses print media styles and includes background graphics
+  - --baseline exits with code ${EXIT_CODES.VISUAL_DIFF} when more than --threshold percent of the pixels
+    changed, leaving <name>.actual.png and <name>.diff.png (changes in red) next to the baseline
+  - Keep the viewport, scale and page state the same between runs; wait for animations
+    and web fonts (browser-wait.js) before comparing
   `);
   process.exit(0);
 }
 
-function getTimestampFilename() {
-  const now = new Date();
-  const timestamp = now.toISOString()
-    .replace(/:/g, '-')
-    .replace(/\./g, '-')
-    .replace('T', '-')
-    .split('Z')[0];
-  return `screenshot-${timestamp}.png`;
+function usageError(message) {
+  console.error(`Error: ${message}`);
+  process.exit(EXIT_CODES.ERROR);
+}
+
+function parseNumberOption(args, name, pattern, description) {
+  if (!args.includes(name)) {
+    return undefined;
+  }
+  const value = getOption(args, name, '');
+  if (!pattern.test(value)) {
+    usageError(`${name} must be ${description}`);
+  }
+  return value;
+}
+
+function parseClip(args) {
+  const value = parseNumberOption(args, '--clip', /^\d+(\.\d+)?(,\d+(\.\d+)?){3}$/, 'x,y,width,height in CSS pixels (e.g. 0,0,800,600)');
+  if (value === undefined) {
+    return null;
+  }
+  const [x, y, width, height] = value.split(',').map(Number);
+  if (width === 0 || height === 0) {
+    usageError('--clip width and height must be greater than 0');
+  }
+  return { x, y, width, height };
+}
+
+function parseViewport(args) {
+  const size = parseNumberOption(args, '--viewport', /^[1-9]\d*x[1-9]\d*$/, 'WIDTHxHEIGHT (e.g. 1280x800)');
+  const scale = parseNumberOption(args, '--scale', /^\d+(\.\d+)?$/, 'a number (e.g. 2)');
+  if (scale !== undefined && Number(scale) === 0) {
+    usageError('--scale must be greater than 0');
+  }
+  if (size === undefined && scale === undefined) {
+    return null;
+  }
+  const [width, height] = size ? size.split('x').map(Number) : [undefined, undefined];
+  return { width, height, deviceScaleFactor: scale === undefined ? undefined : Number(scale) };
+}
+
+// "1cm" -> all sides, "1cm,2cm" -> vertical,horizontal, four values -> top,right,bottom,left
+function parseMargin(args) {
+  const value = getOption(args, '--margin', DEFAULT_MARGIN);
+  const parts = value.split(',').map(part => part.trim());
+  if (![1, 2, 4].includes(parts.length) || !parts.every(part => /^\d+(\.\d+)?(px|in|cm|mm)?$/.test(part))) {
+    usageError('--margin must be 1, 2 or 4 comma-separated lengths in px, in, cm or mm (e.g. 1cm or 0.5in,1in)');
+  }
+  const [top, right = top, bottom = top, left = right] = parts.length === 2 ? [parts[0], parts[1]] : parts;
+  return { top, right, bottom, left };
+}
+
+function parseFormat(args, output, pdf) {
+  const fromExtension = output ? EXTENSIONS[extname(output).toLowerCase()] : undefined;
+
+  if (pdf) {
+    if (fromExtension && fromExtension !== 'pdf') {
+      usageError(`--pdf writes a PDF, but --output ends in ${extname(output)}`);
+    }
+    return 'pdf';
+  }
+
+  if (fromExtension === 'pdf') {
+    usageError('--output ends in .pdf; add --pdf to print the page to PDF');
+  }
+  const format = getOption(args, '--format', fromExtension || 'png');
+  if (!IMAGE_FORMATS.includes(format)) {
+    usageError(`--format must be one of: ${IMAGE_FORMATS.join(', ')}`);
+  }
+  if (fromExtension && args.includes('--format') && fromExtension !== format) {
+    usageError(`--format ${format} does not match the --output extension ${extname(output)}`);
+  }
+  return format;
+}
+
+function parseComparison(args, { pdf, format, output }) {
+  const name = getOption(args, '--baseline', null);
+  if (!name) {
+    const stray = COMPARE_ONLY.filter(option => args.includes(option));
+    if (args.includes('--baseline') || stray.length > 0) {
+      usageError(args.includes('--baseline') ? '--baseline requires a name' : `${stray.join(', ')} requires --baseline`);
+    }
+    return null;
+  }
+  if (!/^[\w.-]+$/.test(name)) {
+    usageError('--baseline names may only contain letters, digits, ".", "_" and "-"');
+  }
+  if (pdf || format !== 'png' || output) {
+    usageError('--baseline compares PNG screenshots kept in --baseline-dir; drop --pdf, --format and --output');
+  }
+
+  const threshold = parseNumberOption(args, '--threshold', /^\d+(\.\d+)?$/, 'a percentage (e.g. 0.5)');
+  const pixelThreshold = parseNumberOption(args, '--pixel-threshold', /^(0(\.\d+)?|1(\.0+)?)$/, 'a number from 0 to 1');
+  if (threshold !== undefined && Number(threshold) > 100) {
+    usageError('--threshold must be a percentage from 0 to 100');
+  }
+
+  return {
+    name,
+    dir: resolve(getOption(args, '--baseline-dir', DEFAULT_BASELINE_DIR)),
+    update: args.includes('--update'),
+    threshold: threshold === undefined ? 0 : Number(threshold),
+    pixelThreshold: pixelThreshold === undefined ? DEFAULT_PIXEL_THRESHOLD : Number(pixelThreshold),
+    includeAA: args.includes('--include-aa')
+  };
+}
+
+function parseOptions(args) {
+  const pdf = args.includes('--pdf');
+  const conflicting = (pdf ? IMAGE_ONLY : PDF_ONLY).filter(name => args.includes(name));
+  if (conflicting.length > 0) {
+    usageError(`${conflicting.join(', ')} cannot be used ${pdf ? 'with' : 'without'} --pdf`);
+  }
+
+  const output = getOption(args, '--output');
+  if (args.includes('--output') && !output) {
+    usageError('--output requires a path');
+  }
+  const format = parseFormat(args, output, pdf);
+  const viewport = parseViewport(args);
+  const comparison = parseComparison(args, { pdf, format, output });
+
+  if (pdf) {
+    const paper = getOption(args, '--paper', DEFAULT_PAPER).toLowerCase();
+    if (!PAPER_SIZES.includes(paper)) {
+      usageError(`--paper must be one of: ${PAPER_SIZES.join(', ')}`);
+    }
+    return { pdf, output, format, viewport, paper, landscape: args.includes('--landscape'), margin: parseMargin(args) };
+  }
+
+  const selector = getOption(args, '--selector', null);
+  const clip = parseClip(args);
+  const fullPage = args.includes('--fullpage');
+  if ([selector, clip, fullPage].filter(Boolean).length > 1) {
+    usageError('use only one of --selector, --clip and --fullpage');
+  }
+  if (args.includes('--nth') && !selector) {
+    usageError('--nth requires --selector');
+  }
+
+  const quality = parseNumberOption(args, '--quality', /^\d+$/, 'an integer from 0 to 100');
+  if (quality !== undefined && (format === 'png' || Number(quality) > 100)) {
+    usageError(format === 'png' ? '--quality only applies to jpeg and webp' : '--quality must be an integer from 0 to 100');
+  }
+  const omitBackground = args.includes('--omit-background');
+  if (omitBackground && format === 'jpeg') {
+    usageError('--omit-background needs a format with transparency (png or webp)');
+  }
+
+  const nth = parseNumberOption(args, '--nth', /^\d+$/, 'a non-negative integer');
+  const timeout = parseNumberOption(args, '--timeout', /^\d+$/, 'a number of milliseconds');
+
+  return {
+    pdf,
+    output,
+    format,
+    viewport,
+    selector,
+    nth: nth === undefined ? undefined : Number(nth),
+    timeout: timeout === undefined ? DEFAULT_ELEMENT_TIMEOUT_MS : Number(timeout),
+    clip,
+    fullPage,
+    quality: quality === undefined ? undefined : Number(quality),
+    omitBackground,
+    comparison
+  };
 }
 
 async function main() {
-  const args = process.argv.slice(2);
+  const { args, endpoint, tab } = parseConnectionArgs(process.argv.slice(2));
 
   if (args.includes('--help')) {
     showHelp();
   }
 
-  const fullPage = args.includes('--fullpage');
+  const options = parseOptions(args);
+  const format = getOutputFormat(args);
+
+  const extension = options.format === 'jpeg' ? 'jpg' : options.format;
+  const filepath = options.comparison ? null : options.output
+    ? resolve(options.output)
+    : join(tmpdir(), getTimestampFilename(options.pdf ? 'page' : 'screenshot', extension));
 
   let browser;
   try {
-    browser = await puppeteer.connect({
-      browserURL: `http://localhost:${REMOTE_DEBUGGING_PORT}`,
-      defaultViewport: null,
-      timeout: CONNECTION_TIMEOUT_MS
-    });
+    browser = await connectBrowser(endpoint);
 
-    const pages = await browser.pages();
-    const page = pages[0];
+    const page = await getActivePage(browser, { endpoint, tab });
 
-    if (!page) {
-      throw new Error('No active tab found. Navigate to a page first.');
+    if (filepath) {
+      mkdirSync(dirname(filepath), { recursive: true });
     }
 
-    const filename = getTimestampFilename();
-    const filepath = join(tmpdir(), filename);
+    const image = await captureScreenshot(page, options, filepath || undefined);
 
-    await page.screenshot({
-      path: filepath,
-      fullPage: fullPage
-    });
+    if (options.comparison) {
+      const result = { ...compareWithBaseline(Buffer.from(image), options.comparison), url: page.url() };
+      printResult(format, result, formatComparison);
+
+      await browser.disconnect();
+      process.exit(result.status === 'changed' ? EXIT_CODES.VISUAL_DIFF : EXIT_CODES.OK);
+    }
 
-    console.log(filepath);
+    printResult(format, {
+      path: filepath,
+      url: page.url(),
+      format: options.format,
+      fullPage: Boolean(options.fullPage),
+      selector: options.selector || null,
+      clip: options.clip || null
+    }, result => result.path);
 
     await browser.disconnect();
     process.exit(0);
 
   } catch (error) {
-    if (error.message.includes('connect')) {
-      console.error('✗ Could not connect to Chrome on localhost:' + REMOTE_DEBUGGING_PORT);
-      console.error('  Make sure Chrome is running with remote debugging enabled.');
-      console.error('  Run: node browser-start.js');
-    } else {
-      console.error('✗ Screenshot failed:', error.message);
-    }
+    const exitCode = reportError(error, options.pdf ? 'PDF export failed' : 'Screenshot failed', endpoint, format);
 
     if (browser) {
       await browser.disconnect();
     }
-    process.exit(1);
+    process.exit(exitCode);
   }
 }
 
-main();
+// parseConnectionArgs throws on a bad --port or --session before main's own error handling
+main().catch(error => {
+  process.exit(reportError(error, 'Invalid connection options', null, getOutputFormat(process.argv)));
+});
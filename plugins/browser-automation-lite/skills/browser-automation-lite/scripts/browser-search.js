@@ -1,154 +1,302 @@
 #!/usr/bin/env node
 
-import puppeteer from 'puppeteer-core';
-import { JSDOM } from 'jsdom';
-import { Readability } from '@mozilla/readability';
-import TurndownService from 'turndown';
-import { gfm } from 'turndown-plugin-gfm';
-
-const REMOTE_DEBUGGING_PORT = 9222;
-const CONNECTION_TIMEOUT_MS = 5000;
+import { parseConnectionArgs, connectBrowser, getActivePage, reportError, classifyError, timeoutError, blockedError, withTimeout, CONNECTION_HELP, EXIT_CODES } from './lib/connection.js';
+import { getOutputFormat, printResult, logProgress, OUTPUT_HELP } from './lib/output.js';
+import { getOption, getOptions, getPositionals } from './lib/args.js';
+import { extractArticle, toMarkdown } from './lib/content.js';
+import { chunkMarkdown } from './lib/chunks.js';
+import { SEARCH_ENGINES, DEFAULT_ENGINE, RESULT_TYPES, SEARCH_TIMES, buildSearchUrl, ignoredFilters, parseResults, detectBlock, resultKey } from './lib/search-engines.js';
+
 const PAGE_LOAD_TIMEOUT_MS = 10000;
-const GLOBAL_TIMEOUT_MS = 60000;
+const SEARCH_TIMEOUT_MS = 60000;
+const DEFAULT_RESULT_TIMEOUT_MS = 15000;
+const DEFAULT_CONCURRENCY = 3;
 const MAX_RESULTS = 100;
 const DEFAULT_RESULTS = 5;
+const DEFAULT_MAX_CHARS = 5000;
+const MAX_PAGES = 10;
+// Pause between results pages; rapid paging is what trips bot checks
+const PAGE_DELAY_MS = 1000;
+const VALUE_OPTIONS = ['-n', '--max-chars', '--engine', '--searxng-url', '--concurrency', '--timeout',
+  '--site', '--time', '--lang', '--region', '--type'];
 
 function showHelp() {
   console.log(`
 Usage: node browser-search.js <query> [options]
 
-Perform a Google search and extract results.
+Perform a web search (Google, DuckDuckGo, Bing, Brave Search or SearXNG) and extract results.
 
 Arguments:
-  query         Search query (required)
+  query            Search query (required)
 
 Options:
-  -n <number>   Number of results (default: ${DEFAULT_RESULTS}, max: ${MAX_RESULTS})
-  --content     Fetch full article content for each result
-  --help        Show this help message
+  -n <number>      Number of results (default: ${DEFAULT_RESULTS}, max: ${MAX_RESULTS}); further results
+                   pages are fetched until n is reached (up to ${MAX_PAGES} pages)
+  --engine <name>  Search engine: ${Object.keys(SEARCH_ENGINES).join(', ')} (default: ${DEFAULT_ENGINE})
+  --searxng-url <url>
+                   Base URL of a SearXNG instance for --engine searxng
+                   (default: $SEARXNG_URL)
+  --json           Print results as a JSON array
+  --jsonl          Print one JSON result per line
+  --help           Show this help message
+
+Filters:
+  --site <domain>  Only results from this site (repeatable: any of the sites)
+  --time <range>   Only results from the past ${SEARCH_TIMES.join(', ')}
+  --lang <code>    Results in this language (ISO 639-1, e.g. de)
+  --region <code>  Results for this country (ISO 3166-1 alpha-2, e.g. at)
+  --type <types>   Only these result types, comma-separated: ${RESULT_TYPES.join(', ')}
+                   (default: all; -n counts the matching results)
+
+  Engines without a filter ignore it with a warning: Brave Search has no --lang, SearXNG
+  no --region on its own (with --lang it picks the regional variant, e.g. de-AT) and
+  DuckDuckGo no --lang without --region (it takes one region-language code, e.g. at-de).
+
+Content:
+  --content        Fetch full article content for each result (results with a link)
+  --max-chars <n>  With --content, keep at most n chars per result (default: ${DEFAULT_MAX_CHARS}),
+                   cut at a section or paragraph boundary
+  --concurrency <n>
+                   With --content, number of results fetched in parallel tabs (default: ${DEFAULT_CONCURRENCY})
+  --timeout <ms>   With --content, time limit per result (default: ${DEFAULT_RESULT_TIMEOUT_MS}); a result that
+                   takes longer gets "content": null and the others carry on
 
 Examples:
   node browser-search.js "machine learning tutorials"
   node browser-search.js "climate change" -n 10
+  node browser-search.js "climate change" --engine duckduckgo
+  node browser-search.js "climate change" --engine searxng --searxng-url http://localhost:8888
   node browser-search.js "web scraping" -n 5 --content
+  node browser-search.js "rust async runtime" -n 3 --content --max-chars 2000
+  node browser-search.js "web scraping" -n 10 --content --concurrency 5 --jsonl
+  node browser-search.js "useEffect cleanup" --site react.dev --site stackoverflow.com
+  node browser-search.js "ai act" --time week --lang de --region at --type news,organic
 
 Output:
   For each result:
-  - Title
-  - Link
+  - Title, with the result type unless organic: [3] (question) Is web scraping legal?
+  - Link (none for questions whose answer is not on the page)
   - Snippet
-  - Content (if --content flag used, first 5000 chars)
+  - Content (if --content flag used), as Markdown: the first chunk of up to --max-chars,
+    ending with a note on how to read the rest with browser-content.js
+
+${OUTPUT_HELP}
+  JSON schema (per result): {"index": number, "type": "organic" | "featured" | "question" | "news" | "video",
+                             "title": string, "link": string | null, "snippet": string,
+                             "content"?: string | null, "contentError"?: string}
+                            (content only with --content; null, with contentError, if extraction failed)
+  With --content, text and --jsonl output stream each result as its content arrives (so in
+  completion order; index is the rank on the results page); --json prints the array at the end.
+
+${CONNECTION_HELP}
 
 Notes:
   - Chrome must be running (use browser-start.js)
-  - Global timeout: ${GLOBAL_TIMEOUT_MS / 1000}s
-  - Per-page timeout: ${PAGE_LOAD_TIMEOUT_MS / 1000}s
-  - Content extraction uses Mozilla Readability
+  - The search runs in a new tab, and --content fetches results in further new tabs; all are
+    closed when done, so the current tab stays on its page (a blocked results page is left
+    open for you to solve); with --tab the search runs in that tab instead, which is left
+    on the results page
+  - Search timeout: ${SEARCH_TIMEOUT_MS / 1000}s (results pages load with a ${PAGE_LOAD_TIMEOUT_MS / 1000}s limit each);
+    content fetching is bounded by --timeout per result instead
+  - Content extraction uses Mozilla Readability, like browser-content.js
+  - Results pages are parsed by engine-specific selectors (lib/search-engines.js, tested
+    offline against saved pages with npm test). If an engine returns no results, its
+    layout may have changed: try another --engine
+  - Links are unwrapped from the engines' redirect URLs, stripped of tracking parameters
+    (utm_*, gclid, fbclid, ...) and de-duplicated across pages
+  - Types: featured = featured snippet / answer box, question = "People also ask", news = top
+    stories, video = video results (and organic results on YouTube, Vimeo, Dailymotion)
+  - A consent wall, CAPTCHA or "unusual traffic" page exits with ${EXIT_CODES.BLOCKED}; on a later
+    results page it ends pagination with a warning and the results so far are printed
   `);
   process.exit(0);
 }
 
-function cleanText(text) {
-  return text
-    .replace(/\(\s*\)/g, '')
-    .replace(/\s+/g, ' ')
-    .replace(/\n\s*\n\s*\n/g, '\n\n')
-    .trim();
+// The first chunk of the article; longer pages end with a pointer to the rest
+async function extractContent(page, url, { timeout, maxChars }) {
+  await page.goto(url, { waitUntil: 'domcontentloaded', timeout });
+
+  const article = extractArticle(await page.content(), page.url());
+  const chunks = chunkMarkdown(toMarkdown(article.html), maxChars);
+
+  if (chunks.length === 1) {
+    return chunks[0].content;
+  }
+  return `${chunks[0].content}\n\n[Truncated: chunk 1 of ${chunks.length}. Continue with: ` +
+    `node browser-content.js "${article.url}" --max-chars ${maxChars} --chunk 2 (or --toc for the outline)]`;
 }
 
-async function extractContent(page, url) {
-  try {
+// Follows results pages until numResults distinct links are collected, a page
+// adds nothing new, or the engine blocks the request
+async function collectResults(page, query, { engine, baseUrl, filters, types, numResults, format }) {
+  const results = [];
+  const seen = new Set();
+  let offset = 0;
+
+  for (let pageIndex = 0; pageIndex < MAX_PAGES && results.length < numResults; pageIndex++) {
+    if (pageIndex > 0) {
+      await new Promise(resolve => setTimeout(resolve, PAGE_DELAY_MS));
+    }
+    const url = buildSearchUrl(engine, query, { ...filters, baseUrl, page: pageIndex, offset });
     await page.goto(url, { waitUntil: 'domcontentloaded', timeout: PAGE_LOAD_TIMEOUT_MS });
 
     const html = await page.content();
-    const dom = new JSDOM(html, { url });
-    const reader = new Readability(dom.window.document);
-    const article = reader.parse();
+    const pageResults = parseResults(engine, html, page.url());
 
-    if (!article) {
-      return null;
+    if (pageResults.length === 0) {
+      const block = detectBlock(html, page.url());
+      if (block && pageIndex === 0) {
+        throw blockedError(`${engine.name} blocked the search: ${block} (${page.url()}). ` +
+          'Solve it in the tab left open for it, or try another --engine');
+      }
+      if (block) {
+        logProgress(format, `  Warning: ${engine.name} blocked results page ${pageIndex + 1} (${block}); stopping with ${results.length} results`);
+      } else if (pageIndex === 0) {
+        logProgress(format, `  Warning: no results parsed from ${engine.name} (${page.url()}); the page layout may have changed`);
+      }
+      break;
     }
 
-    const turndownService = new TurndownService({
-      headingStyle: 'atx',
-      codeBlockStyle: 'fenced'
+    offset += pageResults.length;
+    const fresh = pageResults.filter(result => {
+      const key = resultKey(result);
+      if (seen.has(key)) {
+        return false;
+      }
+      seen.add(key);
+      return true;
     });
-    turndownService.use(gfm);
-
-    const markdown = turndownService.turndown(article.content);
-    return cleanText(markdown).substring(0, 5000);
-
-  } catch (error) {
-    console.error(`  Warning: Failed to extract content from ${url}: ${error.message}`);
-    return null;
+    const matching = fresh.filter(result => types.includes(result.type));
+    results.push(...matching);
+    if (pageIndex > 0) {
+      logProgress(format, `  Page ${pageIndex + 1}: ${matching.length} new results`);
+    }
+    if (fresh.length === 0) {
+      break;
+    }
   }
-}
 
-async function performSearch(page, query, numResults, fetchContent) {
-  const searchUrl = `https://www.google.com/search?q=${encodeURIComponent(query)}`;
-
-  await page.goto(searchUrl, { waitUntil: 'domcontentloaded', timeout: PAGE_LOAD_TIMEOUT_MS });
-
-  const results = await page.evaluate(() => {
-    const items = [];
-    const resultElements = document.querySelectorAll('div.MjjYud');
-
-    for (const el of resultElements) {
-      const titleEl = el.querySelector('h3');
-      const linkEl = el.querySelector('a');
-      const snippetEl = el.querySelector('div[data-sncf]') || el.querySelector('.VwiC3b');
+  return results.slice(0, numResults);
+}
 
-      if (titleEl && linkEl) {
-        items.push({
-          title: titleEl.textContent,
-          link: linkEl.href,
-          snippet: snippetEl ? snippetEl.textContent : ''
-        });
+/**
+ * Fetches each result's content in its own tab, `concurrency` tabs at a
+ * time, calling onResult as each one finishes. A failed or timed-out
+ * result gets content null and a contentError; the rest carry on.
+ */
+async function fetchContents(browser, results, { concurrency, timeout, maxChars, format, onResult }) {
+  const queue = [...results];
+  let done = 0;
+
+  async function worker() {
+    let page = await browser.newPage();
+    try {
+      while (queue.length > 0) {
+        const result = queue.shift();
+        try {
+          result.content = await withTimeout(extractContent(page, result.link, { timeout, maxChars }), timeout, result.link);
+        } catch (error) {
+          result.content = null;
+          result.contentError = error.message;
+          // A page that timed out may still be busy; continue in a fresh tab
+          if (classifyError(error).kind === 'timeout') {
+            await page.close().catch(() => {});
+            page = await browser.newPage();
+          }
+        }
+
+        done++;
+        logProgress(format, `  [${done}/${results.length}] ${result.content === null ? '✗' : '✓'} ${result.link}` +
+          (result.contentError ? ` (${result.contentError})` : ''));
+        onResult(result);
       }
+    } finally {
+      await page.close().catch(() => {});
     }
+  }
 
-    return items;
-  });
+  await Promise.all(Array.from({ length: Math.min(concurrency, results.length) }, () => worker()));
+}
 
-  const limitedResults = results.slice(0, numResults);
+function formatResult(result) {
+  const lines = [`[${result.index}] ${result.type === 'organic' ? '' : `(${result.type}) `}${result.title}`];
+  if (result.link) {
+    lines.push(`Link: ${result.link}`);
+  }
+  if (result.snippet) {
+    lines.push(`Snippet: ${result.snippet}`);
+  }
+  let output = lines.join('\n');
 
-  if (fetchContent) {
-    for (const result of limitedResults) {
-      const content = await extractContent(page, result.link);
-      result.content = content || '(content extraction failed)';
-    }
+  if (result.content !== undefined) {
+    output += `\n\nContent:\n${result.content === null ? `(content extraction failed: ${result.contentError})` : result.content}`;
   }
 
-  return limitedResults;
+  return output;
 }
 
-function formatResults(results, includeContent) {
-  return results.map((result, i) => {
-    let output = `
-[${i}] ${result.title}
-Link: ${result.link}
-Snippet: ${result.snippet}
-`.trim();
+const SEPARATOR = '='.repeat(60);
 
-    if (includeContent && result.content) {
-      output += `\n\nContent:\n${result.content}`;
-    }
+function formatResults(results) {
+  return results.map(formatResult).join(`\n\n${SEPARATOR}\n\n`);
+}
 
-    return output;
-  }).join('\n\n' + '='.repeat(60) + '\n\n');
+function parsePositiveInt(args, name, fallback) {
+  const value = getOption(args, name, String(fallback));
+  if (!/^\d+$/.test(value) || Number(value) === 0) {
+    console.error(`Error: ${name} must be a positive integer`);
+    process.exit(EXIT_CODES.ERROR);
+  }
+  return Number(value);
 }
 
 async function main() {
-  const args = process.argv.slice(2);
+  const { args, endpoint, tab } = parseConnectionArgs(process.argv.slice(2));
 
   if (args.includes('--help') || args.length === 0) {
     showHelp();
   }
 
-  const query = args.find(arg => !arg.startsWith('-'));
+  const [query] = getPositionals(args, VALUE_OPTIONS);
   const nIndex = args.indexOf('-n');
   const numResults = nIndex > -1 ? Math.min(parseInt(args[nIndex + 1]) || DEFAULT_RESULTS, MAX_RESULTS) : DEFAULT_RESULTS;
   const fetchContent = args.includes('--content');
+  const format = getOutputFormat(args);
+  const maxChars = parsePositiveInt(args, '--max-chars', DEFAULT_MAX_CHARS);
+  const concurrency = parsePositiveInt(args, '--concurrency', DEFAULT_CONCURRENCY);
+  const resultTimeout = parsePositiveInt(args, '--timeout', DEFAULT_RESULT_TIMEOUT_MS);
+  const engineName = getOption(args, '--engine', DEFAULT_ENGINE);
+  const engine = SEARCH_ENGINES[engineName];
+  const baseUrl = getOption(args, '--searxng-url', process.env.SEARXNG_URL);
+  const filters = {
+    sites: getOptions(args, '--site'),
+    time: getOption(args, '--time'),
+    lang: getOption(args, '--lang'),
+    region: getOption(args, '--region')
+  };
+  const types = getOption(args, '--type', RESULT_TYPES.join(',')).split(',').map(type => type.trim());
+
+  if (!engine) {
+    console.error(`Error: --engine must be one of: ${Object.keys(SEARCH_ENGINES).join(', ')}`);
+    process.exit(EXIT_CODES.ERROR);
+  }
+  if (engine.needsBaseUrl && !baseUrl) {
+    console.error(`Error: --engine ${engineName} needs --searxng-url <url> (or SEARXNG_URL)`);
+    process.exit(EXIT_CODES.ERROR);
+  }
+  if (filters.time && !SEARCH_TIMES.includes(filters.time)) {
+    console.error(`Error: --time must be one of: ${SEARCH_TIMES.join(', ')}`);
+    process.exit(EXIT_CODES.ERROR);
+  }
+  if ((filters.lang && !/^[a-z]{2}$/i.test(filters.lang)) || (filters.region && !/^[a-z]{2}$/i.test(filters.region))) {
+    console.error('Error: --lang and --region take two-letter codes (e.g. --lang de --region at)');
+    process.exit(EXIT_CODES.ERROR);
+  }
+  const unknownTypes = types.filter(type => !RESULT_TYPES.includes(type));
+  if (unknownTypes.length > 0) {
+    console.error(`Error: unknown --type ${unknownTypes.join(', ')} (types: ${RESULT_TYPES.join(', ')})`);
+    process.exit(EXIT_CODES.ERROR);
+  }
 
   if (!query) {
     console.error('Error: Search query is required');
@@ -156,47 +304,79 @@ async function main() {
   }
 
   let browser;
-  const timeout = setTimeout(() => {
-    console.error(`✗ Global timeout (${GLOBAL_TIMEOUT_MS / 1000}s) exceeded`);
-    process.exit(1);
-  }, GLOBAL_TIMEOUT_MS);
+  let searchPage;
+  const ownTab = tab === undefined;
+  const timeout = setTimeout(async () => {
+    const error = timeoutError(`Search timeout (${SEARCH_TIMEOUT_MS / 1000}s) exceeded`);
+    const exitCode = reportError(error, 'Search failed', endpoint, format);
+    if (searchPage && ownTab) {
+      await searchPage.close().catch(() => {});
+    }
+    process.exit(exitCode);
+  }, SEARCH_TIMEOUT_MS);
 
   try {
-    browser = await puppeteer.connect({
-      browserURL: `http://localhost:${REMOTE_DEBUGGING_PORT}`,
-      defaultViewport: null,
-      timeout: CONNECTION_TIMEOUT_MS
-    });
-
-    const pages = await browser.pages();
-    const page = pages[0] || await browser.newPage();
-
-    console.error(`Searching for: "${query}" (${numResults} results)${fetchContent ? ' with content' : ''}...`);
+    browser = await connectBrowser(endpoint);
 
-    const results = await performSearch(page, query, numResults, fetchContent);
+    // A tab of our own, so the user's tab stays where it is, unless --tab names one
+    searchPage = ownTab ? await browser.newPage() : await getActivePage(browser, { endpoint, tab });
 
-    console.log(formatResults(results, fetchContent));
+    logProgress(format, `Searching ${engine.name} for: "${query}" (${numResults} results)${fetchContent ? ' with content' : ''}...`);
+    for (const filter of ignoredFilters(engine, filters)) {
+      logProgress(format, `  Warning: ${engine.name} has no --${filter} filter; ignoring it`);
+    }
 
+    const results = (await collectResults(searchPage, query, { engine, baseUrl, filters, types, numResults, format }))
+      .map((result, index) => ({ index, ...result }));
     clearTimeout(timeout);
+    if (ownTab) {
+      await searchPage.close();
+    }
+    searchPage = null;
+
+    if (fetchContent && results.length > 0) {
+      let streamed = 0;
+      const onResult = result => {
+        if (format === 'text') {
+          if (streamed++ > 0) {
+            console.log(`\n${SEPARATOR}\n`);
+          }
+          console.log(formatResult(result));
+        } else if (format === 'jsonl') {
+          console.log(JSON.stringify(result));
+        }
+      };
+      // Questions without a source have nothing to fetch
+      results.filter(result => !result.link).forEach(onResult);
+      await fetchContents(browser, results.filter(result => result.link), { concurrency, timeout: resultTimeout, maxChars, format, onResult });
+      if (format === 'json') {
+        printResult(format, results);
+      }
+    } else {
+      printResult(format, results, formatResults);
+    }
+
     await browser.disconnect();
     process.exit(0);
 
   } catch (error) {
     clearTimeout(timeout);
 
-    if (error.message.includes('connect')) {
-      console.error('✗ Could not connect to Chrome on localhost:' + REMOTE_DEBUGGING_PORT);
-      console.error('  Make sure Chrome is running with remote debugging enabled.');
-      console.error('  Run: node browser-start.js');
-    } else {
-      console.error('✗ Search failed:', error.message);
+    const exitCode = reportError(error, 'Search failed', endpoint, format);
+
+    // A blocked results page stays open so the user can solve it
+    if (searchPage && ownTab && classifyError(error).kind !== 'blocked') {
+      await searchPage.close().catch(() => {});
     }
 
     if (browser) {
       await browser.disconnect();
     }
-    process.exit(1);
+    process.exit(exitCode);
   }
 }
 
-main();
+// parseConnectionArgs throws on a bad --port or --session before main's own error handling
+main().catch(error => {
+  process.exit(reportError(error, 'Invalid connection options', null, getOutputFormat(process.argv)));
+});
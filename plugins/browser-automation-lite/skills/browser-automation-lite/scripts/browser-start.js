@@ -1,11 +1,13 @@
 #!/usr/bin/env node
 
-import { execSync, spawn } from 'child_process';
+import { spawn } from 'child_process';
 import { existsSync, mkdirSync } from 'fs';
-import { homedir } from 'os';
-import { join } from 'path';
+import { reportError, BrowserError, DEFAULT_PORT, EXIT_CODES } from './lib/connection.js';
+import { getOutputFormat, printResult, logProgress, OUTPUT_HELP } from './lib/output.js';
+import { getOption } from './lib/args.js';
+import { findChromeExecutable, resolveProfileDir, copyProfile, stopChrome } from './lib/chrome.js';
+import { DEFAULT_SESSION, validateSessionName, readSession, writeSession, listSessions, getUserDataDir, getPidFile, allocatePort, isPortResponding, isProcessAlive } from './lib/sessions.js';
 
-const REMOTE_DEBUGGING_PORT = 9222;
 const MAX_RETRIES = 30;
 const RETRY_INTERVAL_MS = 500;
 
@@ -13,74 +15,74 @@ function showHelp() {
   console.log(`
 Usage: node browser-start.js [options]
 
-Launches Chrome with remote debugging enabled on port ${REMOTE_DEBUGGING_PORT}.
+Launches Chrome with remote debugging enabled (default port ${DEFAULT_PORT}).
 
 Options:
-  --profile    Sync and use existing Chrome profile from default location
-  --help       Show this help message
+  --session <name>      Start a named, isolated session with its own port, profile and pid file
+                        (default: "${DEFAULT_SESSION}", or BROWSER_SESSION)
+  --profile             Copy your Chrome profile (cookies, logins) into the session before launch
+  --profile-dir <dir>   Profile to copy: a name such as "Profile 1" (looked up in the Chrome,
+                        Chromium and Brave user-data dirs) or a path; implies --profile
+                        (default: Default)
+  --chrome-path <path>  Browser executable (default: CHROME_PATH, else auto-detected)
+  --port <port>         Remote debugging port (default session: ${DEFAULT_PORT} or the port in
+                        BROWSER_DEBUG_URL; named sessions: their previous port, else a free one)
+  --headless            Run Chrome without a window
+  --status              List known sessions and whether they are alive, then exit
+  --json                Print the result as JSON
+  --jsonl               With --status, print one JSON session per line
+  --help                Show this help message
 
 Examples:
   node browser-start.js                    # Launch with clean profile
   node browser-start.js --profile          # Launch with synced user profile
+  node browser-start.js --profile-dir "Profile 2"
+  node browser-start.js --chrome-path /opt/brave.com/brave/brave
+  node browser-start.js --port 9223        # Launch on a different port
+  node browser-start.js --session research --headless
+  node browser-nav.js "https://example.com" --session research
+  node browser-start.js --status
+  node browser-stop.js --session research
+
+${OUTPUT_HELP}
+  JSON schema: {"session": string, "port": number, "pid": number, "executable": string,
+                "userDataDir": string, "headless": boolean, "profileDir": string | null}
+  JSON schema (--status, per session): {"session": string, "port": number, "pid": number | null,
+                                        "alive": boolean, "headless": boolean, "userDataDir": string,
+                                        "startedAt": string}
 
 Notes:
-  - Chrome will remain open and accessible on localhost:${REMOTE_DEBUGGING_PORT}
-  - All other browser-* scripts connect to this instance
-  - Terminates any existing Chrome instances on port ${REMOTE_DEBUGGING_PORT}
+  - Chrome will remain open and accessible on localhost:<port>
+  - Other browser-* scripts attach with --session <name> (or the same --port)
+  - Closes the session's previous Chrome, and any Chrome answering on its port, through the
+    DevTools protocol; only the recorded pid is signalled, after checking its command line
+  - Session state lives in ~/.cache/browser-automation-lite-state/sessions/<name>/
+  - Auto-detection checks Chrome, Chromium, Brave and Chrome for Testing installs, $PATH and
+    puppeteer's cache (~/.cache/puppeteer or PUPPETEER_CACHE_DIR)
+  - The profile copy skips lock files and caches and needs no rsync; if it fails Chrome is not started
   `);
   process.exit(0);
 }
 
-function getChromeExecutable() {
-  const candidates = [
-    '/usr/bin/google-chrome',
-    '/usr/bin/google-chrome-stable',
-    '/usr/bin/chromium',
-    '/usr/bin/chromium-browser',
-    '/snap/bin/chromium'
-  ];
-
-  for (const path of candidates) {
-    if (existsSync(path)) {
-      return path;
-    }
+// The session's previous Chrome, and any other Chrome still answering on the port
+async function stopExistingChrome(record, session, port) {
+  if (record) {
+    await stopChrome(record);
   }
-
-  throw new Error('Chrome/Chromium not found. Please install Google Chrome or Chromium.');
-}
-
-function killExistingChrome() {
-  try {
-    execSync(`pkill -f "remote-debugging-port=${REMOTE_DEBUGGING_PORT}"`, { stdio: 'ignore' });
-    // Wait for process to terminate
-    execSync('sleep 0.5', { stdio: 'ignore' });
-  } catch (error) {
-    // No existing Chrome instance, continue
+  if (!record || record.port !== port) {
+    await stopChrome({ name: session, port, pid: null });
   }
 }
 
-function syncProfile(targetDir) {
-  const defaultProfilePath = join(homedir(), '.config/google-chrome/Default');
-
-  if (!existsSync(defaultProfilePath)) {
-    console.error('Warning: Default Chrome profile not found at', defaultProfilePath);
-    return false;
-  }
-
-  console.log('Syncing Chrome profile...');
-  try {
-    execSync(`rsync -av --delete "${defaultProfilePath}/" "${targetDir}/"`, { stdio: 'ignore' });
-    return true;
-  } catch (error) {
-    console.error('Failed to sync profile:', error.message);
-    return false;
-  }
+function syncProfile(targetDir, profileDir, format) {
+  logProgress(format, `Syncing Chrome profile from ${profileDir}...`);
+  copyProfile(profileDir, targetDir);
 }
 
-async function waitForChrome(maxRetries = MAX_RETRIES) {
+async function waitForChrome(port, maxRetries = MAX_RETRIES) {
   for (let i = 0; i < maxRetries; i++) {
     try {
-      const response = await fetch(`http://localhost:${REMOTE_DEBUGGING_PORT}/json/version`);
+      const response = await fetch(`http://localhost:${port}/json/version`);
       if (response.ok) {
         return true;
       }
@@ -92,6 +94,47 @@ async function waitForChrome(maxRetries = MAX_RETRIES) {
   return false;
 }
 
+async function describeSession(record) {
+  return {
+    session: record.name,
+    port: record.port,
+    pid: record.pid,
+    alive: isProcessAlive(record.pid) && await isPortResponding(record.port),
+    headless: record.headless,
+    userDataDir: record.userDataDir,
+    startedAt: record.startedAt
+  };
+}
+
+function formatStatus(sessions) {
+  if (sessions.length === 0) {
+    return 'No sessions started yet';
+  }
+
+  return sessions.map(s => {
+    const state = s.alive ? '✓ alive  ' : '✗ stopped';
+    return `${state} ${s.session} (:${s.port}${s.pid ? `, pid ${s.pid}` : ''}${s.headless ? ', headless' : ''})\n  ${s.userDataDir}`;
+  }).join('\n');
+}
+
+function resolvePort(args, session, record) {
+  const port = getOption(args, '--port');
+  if (port !== undefined) {
+    if (!/^\d+$/.test(port)) {
+      throw new Error(`Invalid --port value: ${port}`);
+    }
+    return Number(port);
+  }
+  if (record) {
+    return record.port;
+  }
+  if (session === DEFAULT_SESSION) {
+    const debugUrl = process.env.BROWSER_DEBUG_URL;
+    return debugUrl && new URL(debugUrl).port ? Number(new URL(debugUrl).port) : DEFAULT_PORT;
+  }
+  return null;
+}
+
 async function main() {
   const args = process.argv.slice(2);
 
@@ -99,30 +142,46 @@ async function main() {
     showHelp();
   }
 
-  const useProfile = args.includes('--profile');
-  const chromeExecutable = getChromeExecutable();
+  const format = getOutputFormat(args);
 
-  // Kill existing Chrome instances
-  killExistingChrome();
+  if (args.includes('--status')) {
+    const sessions = await Promise.all(listSessions().map(describeSession));
+    printResult(format, sessions, formatStatus);
+    process.exit(0);
+  }
+
+  const session = validateSessionName(getOption(args, '--session') || process.env.BROWSER_SESSION || DEFAULT_SESSION);
+  const record = readSession(session);
+  const port = resolvePort(args, session, record) || await allocatePort(session);
+  const profileSpec = getOption(args, '--profile-dir');
+  const useProfile = args.includes('--profile') || profileSpec !== undefined;
+  const headless = args.includes('--headless');
+  const chromeExecutable = findChromeExecutable(getOption(args, '--chrome-path') || process.env.CHROME_PATH);
+  const profileDir = useProfile ? resolveProfileDir(profileSpec) : null;
+
+  await stopExistingChrome(record, session, port);
 
   // Setup user data directory
-  const userDataDir = join(homedir(), '.cache/browser-automation-lite');
+  const userDataDir = getUserDataDir(session);
   if (!existsSync(userDataDir)) {
     mkdirSync(userDataDir, { recursive: true });
   }
 
   // Sync profile if requested
-  if (useProfile) {
-    syncProfile(userDataDir);
+  if (profileDir) {
+    syncProfile(userDataDir, profileDir, format);
   }
 
   // Launch Chrome
   const chromeArgs = [
-    `--remote-debugging-port=${REMOTE_DEBUGGING_PORT}`,
+    `--remote-debugging-port=${port}`,
     `--user-data-dir=${userDataDir}`,
     '--no-first-run',
     '--no-default-browser-check'
   ];
+  if (headless) {
+    chromeArgs.push('--headless=new');
+  }
 
   const chrome = spawn(chromeExecutable, chromeArgs, {
     detached: true,
@@ -131,21 +190,30 @@ async function main() {
 
   chrome.unref();
 
+  writeSession({ name: session, port, pid: chrome.pid, userDataDir, headless, startedAt: new Date().toISOString() });
+
   // Wait for Chrome to be ready
-  const isReady = await waitForChrome();
+  const isReady = await waitForChrome(port);
 
   if (isReady) {
-    console.log(`✓ Chrome started on :${REMOTE_DEBUGGING_PORT}`);
+    const result = { session, port, pid: chrome.pid, executable: chromeExecutable, userDataDir, headless, profileDir };
+    printResult(format, result, () => `✓ Chrome started on :${port}` + (session === DEFAULT_SESSION ? '' : ` (session "${session}", pid file ${getPidFile(session)})`));
     process.exit(0);
+  } else if (format !== 'text') {
+    const error = new BrowserError('connection', `Chrome did not answer on :${port} after ${MAX_RETRIES} attempts`, EXIT_CODES.CONNECTION_REFUSED);
+    process.exit(reportError(error, 'Failed to start Chrome', null, format));
   } else {
     console.error(`✗ Failed to connect to Chrome after ${MAX_RETRIES} attempts`);
     console.error('  Chrome may have crashed or failed to start.');
     console.error('  Check for error messages and try again.');
-    process.exit(1);
+    process.exit(EXIT_CODES.CONNECTION_REFUSED);
   }
 }
 
 main().catch(error => {
+  if (getOutputFormat(process.argv) !== 'text') {
+    process.exit(reportError(error, 'Failed to start Chrome', null, getOutputFormat(process.argv)));
+  }
   console.error('Error:', error.message);
   process.exit(1);
 });
@@ -0,0 +1,93 @@
+#!/usr/bin/env node
+
+import { reportError, DEFAULT_PORT } from './lib/connection.js';
+import { getOutputFormat, printResult, OUTPUT_HELP } from './lib/output.js';
+import { getOption } from './lib/args.js';
+import { DEFAULT_SESSION, validateSessionName, readSession, listSessions, clearPid } from './lib/sessions.js';
+import { stopChrome } from './lib/chrome.js';
+
+function showHelp() {
+  console.log(`
+Usage: node browser-stop.js [options]
+
+Stop a Chrome session started with browser-start.js.
+
+Options:
+  --session <name>  Session to stop (default: "${DEFAULT_SESSION}", or BROWSER_SESSION)
+  --all             Stop every known session
+  --json            Print the result as JSON
+  --jsonl           Print one JSON result per session
+  --help            Show this help message
+
+${OUTPUT_HELP}
+  JSON schema (per session): {"session": string, "port": number, "wasRunning": boolean}
+
+Examples:
+  node browser-stop.js
+  node browser-stop.js --session research
+  node browser-stop.js --all
+
+Notes:
+  - Closes Chrome through the DevTools protocol, then signals the recorded pid if needed
+  - The session profile is kept, so browser-start.js --session <name> resumes it
+  - Use browser-start.js --status to see which sessions are alive
+  `);
+  process.exit(0);
+}
+
+async function stopSession(record) {
+  const wasRunning = await stopChrome(record);
+  if (readSession(record.name)) {
+    clearPid(record.name);
+  }
+  return { session: record.name, port: record.port, wasRunning };
+}
+
+function formatStopped(results) {
+  if (results.length === 0) {
+    return 'No sessions to stop';
+  }
+
+  return results.map(result => result.wasRunning
+    ? `✓ Stopped session "${result.session}" (:${result.port})`
+    : `  Session "${result.session}" (:${result.port}) was not running`
+  ).join('\n');
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+
+  if (args.includes('--help')) {
+    showHelp();
+  }
+
+  const format = getOutputFormat(args);
+
+  try {
+    let records;
+    if (args.includes('--all')) {
+      records = listSessions();
+    } else {
+      const name = validateSessionName(getOption(args, '--session') || process.env.BROWSER_SESSION || DEFAULT_SESSION);
+      const record = readSession(name);
+      if (!record && name !== DEFAULT_SESSION) {
+        throw new Error(`Unknown session "${name}"`);
+      }
+      // The default session may predate session tracking
+      records = [record || { name, port: DEFAULT_PORT, pid: null }];
+    }
+
+    const results = [];
+    for (const record of records) {
+      results.push(await stopSession(record));
+    }
+
+    printResult(format, args.includes('--all') ? results : results[0], data => formatStopped([data].flat()));
+    process.exit(0);
+
+  } catch (error) {
+    process.exit(reportError(error, 'Failed to stop session', null, format));
+  }
+}
+
+main();
@@ -0,0 +1,132 @@
+#!/usr/bin/env node
+
+import { parseConnectionArgs, connectBrowser, findTab, getTargetId, getDefaultTab, setDefaultTab, noTabError, reportError, CONNECTION_HELP } from './lib/connection.js';
+import { getOutputFormat, printResult, OUTPUT_HELP } from './lib/output.js';
+import { describeTabs, formatTabs } from './lib/tabs.js';
+
+function showHelp() {
+  console.log(`
+Usage: node browser-tabs.js [command] [tab]
+
+List and manage the open browser tabs.
+
+Commands:
+  list              List tabs: index, target id, title, URL (default)
+  activate <tab>    Bring a tab to the front
+  close <tab>       Close a tab
+  default <tab>     Make a tab the default target of the other scripts
+  default --clear   Forget the default tab (scripts fall back to the first tab)
+
+Arguments:
+  tab               Tab index, target id or URL substring
+
+Options:
+  --json            Print the result as JSON
+  --jsonl           Print one JSON tab per line (list)
+  --help            Show this help message
+
+${OUTPUT_HELP}
+  JSON schema (list, per tab): {"index": number, "id": string, "title": string, "url": string,
+                                "default": boolean}
+  JSON schema (other commands): {"action": string, "id": string | null, "url": string | null}
+
+Examples:
+  node browser-tabs.js
+  node browser-tabs.js activate 2
+  node browser-tabs.js close "github.com"
+  node browser-tabs.js default 9F1C2A0B7E6D4C3B8A5F0E1D2C3B4A59
+  node browser-eval.js "document.title" --tab 2
+
+${CONNECTION_HELP}
+
+Notes:
+  - Chrome must be running (use browser-start.js)
+  - The default tab is stored per Chrome instance and ignored once closed
+  - The default tab is marked with * in the listing
+  `);
+  process.exit(0);
+}
+
+function formatAction(result) {
+  const labels = { activate: 'Activated', close: 'Closed', default: 'Default tab' };
+  if (!result.id) {
+    return '✓ Default tab cleared';
+  }
+  return `✓ ${labels[result.action]}: ${result.id}` + (result.url ? `\n  URL: ${result.url}` : '');
+}
+
+async function requireTab(pages, spec) {
+  const page = await findTab(pages, spec);
+  if (!page) {
+    throw noTabError(`No tab matches "${spec}". Run browser-tabs.js to list open tabs.`);
+  }
+  return page;
+}
+
+async function main() {
+  const { args, endpoint } = parseConnectionArgs(process.argv.slice(2));
+
+  if (args.includes('--help')) {
+    showHelp();
+  }
+
+  const [command = 'list', spec] = args.filter(arg => !arg.startsWith('--'));
+
+  if (!['list', 'activate', 'close', 'default'].includes(command)) {
+    console.error(`Error: Unknown command "${command}"`);
+    showHelp();
+  }
+
+  if (command !== 'list' && spec === undefined && !args.includes('--clear')) {
+    console.error('Error: A tab (index, target id or URL substring) is required');
+    showHelp();
+  }
+
+  const format = getOutputFormat(args);
+
+  let browser;
+  try {
+    browser = await connectBrowser(endpoint);
+    const pages = await browser.pages();
+
+    if (command === 'list') {
+      printResult(format, await describeTabs(pages, getDefaultTab(endpoint)), formatTabs);
+    } else if (command === 'activate') {
+      const page = await requireTab(pages, spec);
+      await page.bringToFront();
+      printResult(format, { action: command, id: await getTargetId(page), url: page.url() }, formatAction);
+    } else if (command === 'close') {
+      const page = await requireTab(pages, spec);
+      const id = await getTargetId(page);
+      await page.close();
+      if (getDefaultTab(endpoint) === id) {
+        setDefaultTab(endpoint, null);
+      }
+      printResult(format, { action: command, id, url: null }, formatAction);
+    } else if (args.includes('--clear')) {
+      setDefaultTab(endpoint, null);
+      printResult(format, { action: command, id: null, url: null }, formatAction);
+    } else {
+      const page = await requireTab(pages, spec);
+      const id = await getTargetId(page);
+      setDefaultTab(endpoint, id);
+      printResult(format, { action: command, id, url: page.url() }, formatAction);
+    }
+
+    await browser.disconnect();
+    process.exit(0);
+
+  } catch (error) {
+    const exitCode = reportError(error, 'Tab operation failed', endpoint, format);
+
+    if (browser) {
+      await browser.disconnect();
+    }
+    process.exit(exitCode);
+  }
+}
+
+// parseConnectionArgs throws on a bad --port or --session before main's own error handling
+main().catch(error => {
+  process.exit(reportError(error, 'Invalid connection options', null, getOutputFormat(process.argv)));
+});
@@ -0,0 +1,218 @@
+#!/usr/bin/env node
+
+import { TimeoutError } from 'puppeteer-core';
+import { parseConnectionArgs, connectBrowser, getActivePage, reportError, timeoutError, CONNECTION_HELP, EXIT_CODES } from './lib/connection.js';
+import { getOutputFormat, printResult, OUTPUT_HELP } from './lib/output.js';
+import { getOption } from './lib/args.js';
+
+const DEFAULT_TIMEOUT_MS = 30000;
+const URL_POLL_INTERVAL_MS = 100;
+
+// Condition flags; several are waited for in the order given on the command line
+const CONDITIONS = {
+  '--selector': 'selector',
+  '--gone': 'gone',
+  '--text': 'text',
+  '--url': 'url',
+  '--idle': 'idle',
+  '--fn': 'fn'
+};
+
+function showHelp() {
+  console.log(`
+Usage: node browser-wait.js <condition> [options]
+
+Block until a condition holds in the current tab, or exit with code ${EXIT_CODES.TIMEOUT}
+when the timeout expires.
+
+Conditions (several are checked one after another, sharing the timeout):
+  --selector <css>  Wait until an element matching the selector exists
+  --gone <css>      Wait until no element matches the selector (or all are hidden)
+  --text <text>     Wait until the page's visible text contains <text>
+  --url <pattern>   Wait until the tab URL matches: a substring, a glob with *
+                    (matched against the whole URL) or /regex/flags
+  --idle <ms>       Wait until the network has been idle for <ms> milliseconds
+  --fn <js>         Wait until a JavaScript expression evaluates to a truthy value
+
+Options:
+  --visible         --selector: also require the element to be visible
+  --timeout <ms>    Give up after <ms> milliseconds; 0 waits forever (default: ${DEFAULT_TIMEOUT_MS})
+  --help            Show this help message
+
+${OUTPUT_HELP}
+  JSON schema: {"conditions": [{"type": string, "value": string, "elapsedMs": number}],
+                "url": string, "elapsedMs": number}
+
+Examples:
+  node browser-wait.js --selector ".results"
+  node browser-wait.js --selector "#modal" --visible --timeout 5000
+  node browser-wait.js --gone ".spinner"
+  node browser-wait.js --text "Order confirmed"
+  node browser-wait.js --url "*/dashboard*"
+  node browser-wait.js --url "/\\/orders\\/\\d+$/"
+  node browser-wait.js --idle 500
+  node browser-wait.js --fn "document.querySelectorAll('.item').length >= 20"
+
+  # Reliable click-then-read
+  node browser-interact.js click "#load-more" && \\
+    node browser-wait.js --idle 500 && \\
+    node browser-content.js
+
+${CONNECTION_HELP}
+
+Notes:
+  - Chrome must be running with remote debugging (use browser-start.js)
+  - --idle only sees requests made after the script attached to the tab
+  `);
+  process.exit(0);
+}
+
+function parseConditions(args) {
+  const conditions = [];
+  for (let i = 0; i < args.length; i++) {
+    const type = CONDITIONS[args[i]];
+    if (type) {
+      const value = args[++i];
+      if (value === undefined) {
+        console.error(`Error: ${args[i - 1]} requires a value`);
+        process.exit(EXIT_CODES.ERROR);
+      }
+      if (type === 'idle' && !/^\d+$/.test(value)) {
+        console.error('Error: --idle must be a number of milliseconds');
+        process.exit(EXIT_CODES.ERROR);
+      }
+      conditions.push({ type, value });
+    }
+  }
+  return conditions;
+}
+
+function parseUrlPattern(pattern) {
+  const regex = pattern.match(/^\/(.+)\/([a-z]*)$/);
+  if (regex) {
+    // g and y make test() resume from lastIndex, so a repeated poll could miss a match
+    return new RegExp(regex[1], regex[2].replace(/[gy]/g, ''));
+  }
+  if (pattern.includes('*')) {
+    const escaped = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+    return new RegExp(`^${escaped}$`);
+  }
+  return { test: url => url.includes(pattern) };
+}
+
+function describeCondition({ type, value }) {
+  switch (type) {
+    case 'selector': return `"${value}" to appear`;
+    case 'gone': return `"${value}" to disappear`;
+    case 'text': return `text "${value}"`;
+    case 'url': return `URL matching ${value}`;
+    case 'idle': return `${value}ms of network idle`;
+    default: return `${value} to be truthy`;
+  }
+}
+
+async function waitForUrl(page, pattern, timeout) {
+  const matcher = parseUrlPattern(pattern);
+  const deadline = Date.now() + timeout;
+  while (!matcher.test(page.url())) {
+    if (timeout > 0 && Date.now() >= deadline) {
+      throw new TimeoutError(`URL is still ${page.url()}`);
+    }
+    await new Promise(resolve => setTimeout(resolve, URL_POLL_INTERVAL_MS));
+  }
+}
+
+async function waitForCondition(page, condition, { timeout, visible }) {
+  const { type, value } = condition;
+
+  if (type === 'selector') {
+    await page.waitForSelector(value, { timeout, visible });
+  } else if (type === 'gone') {
+    await page.waitForSelector(value, { timeout, hidden: true });
+  } else if (type === 'text') {
+    await page.waitForFunction(
+      text => document.body && document.body.innerText.includes(text),
+      { timeout, polling: 'mutation' },
+      value
+    );
+  } else if (type === 'url') {
+    await waitForUrl(page, value, timeout);
+  } else if (type === 'idle') {
+    await page.waitForNetworkIdle({ idleTime: Number(value), timeout });
+  } else {
+    await page.waitForFunction(value, { timeout, polling: 100 });
+  }
+}
+
+function formatWait(result) {
+  const lines = result.conditions.map(condition =>
+    `✓ ${condition.type}: ${condition.value} (${condition.elapsedMs}ms)`
+  );
+  lines.push(`  URL: ${result.url}`);
+  return lines.join('\n');
+}
+
+async function main() {
+  const { args, endpoint, tab } = parseConnectionArgs(process.argv.slice(2));
+
+  if (args.includes('--help') || args.length === 0) {
+    showHelp();
+  }
+
+  const format = getOutputFormat(args);
+  const conditions = parseConditions(args);
+  const timeoutArg = getOption(args, '--timeout', String(DEFAULT_TIMEOUT_MS));
+
+  if (conditions.length === 0) {
+    console.error('Error: At least one condition is required');
+    showHelp();
+  }
+  if (!/^\d+$/.test(timeoutArg)) {
+    console.error('Error: --timeout must be a number of milliseconds');
+    process.exit(EXIT_CODES.ERROR);
+  }
+
+  const timeout = Number(timeoutArg);
+  const visible = args.includes('--visible');
+
+  let browser;
+  try {
+    browser = await connectBrowser(endpoint);
+
+    const page = await getActivePage(browser, { endpoint, tab });
+
+    const start = Date.now();
+    const satisfied = [];
+    for (const condition of conditions) {
+      // Puppeteer reads a timeout of 0 as no timeout, so a spent budget is clamped to 1ms
+      const remaining = timeout === 0 ? 0 : Math.max(timeout - (Date.now() - start), 1);
+      try {
+        await waitForCondition(page, condition, { timeout: remaining, visible });
+      } catch (error) {
+        if (error instanceof TimeoutError) {
+          throw timeoutError(`waited ${timeout / 1000}s for ${describeCondition(condition)}`);
+        }
+        throw error;
+      }
+      satisfied.push({ ...condition, elapsedMs: Date.now() - start });
+    }
+
+    printResult(format, { conditions: satisfied, url: page.url(), elapsedMs: Date.now() - start }, formatWait);
+
+    await browser.disconnect();
+    process.exit(0);
+
+  } catch (error) {
+    const exitCode = reportError(error, 'Wait failed', endpoint, format);
+
+    if (browser) {
+      await browser.disconnect();
+    }
+    process.exit(exitCode);
+  }
+}
+
+// parseConnectionArgs throws on a bad --port or --session before main's own error handling
+main().catch(error => {
+  process.exit(reportError(error, 'Invalid connection options', null, getOutputFormat(process.argv)));
+});
@@ -0,0 +1,392 @@
+#!/usr/bin/env node
+
+import { spawn } from 'child_process';
+import { createHash } from 'crypto';
+import { parseConnectionArgs, connectBrowser, getActivePage, reportError, classifyError, timeoutError, BrowserError, CONNECTION_HELP, EXIT_CODES } from './lib/connection.js';
+import { getOutputFormat, printResult, logProgress, OUTPUT_HELP } from './lib/output.js';
+import { getOption, getOptions, getPositionals } from './lib/args.js';
+import { getPageHtml, extractArticle, bodyHtml, renderContent, toMarkdown, toText } from './lib/content.js';
+import { unifiedDiff } from './lib/diff.js';
+import { readState, writeState, STATE_DIR } from './lib/state.js';
+
+const DEFAULT_INTERVAL_MS = 30000;
+const DEFAULT_SETTLE_MS = 500;
+const PAGE_LOAD_TIMEOUT_MS = 30000;
+const WATCH_FORMATS = ['markdown', 'text'];
+const VALUE_OPTIONS = ['--selector', '--exclude', '--interval', '--settle', '--format', '--exec', '--timeout', '--name'];
+
+// Page-side names are per process, so two watches on one tab do not collide
+const BINDING = `__browserWatchChanged${process.pid}`;
+
+function showHelp() {
+  console.log(`
+Usage: node browser-watch.js [url] [options]
+
+Watch a page, or one part of it, and print a unified diff every time its
+content changes. The content goes through the same extraction as
+browser-content.js, so layout and markup churn do not count as changes.
+
+Arguments:
+  url                 Open the URL in a new tab and watch it (default: watch the current tab)
+
+What to watch:
+  --selector <css>    Only the elements matching the selector (e.g. a price or status badge)
+  --exclude <css>     Ignore elements matching the selector, e.g. timestamps (repeatable)
+  --format <format>   Compare as markdown or text (default: markdown)
+
+How to watch:
+  --interval <ms>     Check every <ms> milliseconds (default: ${DEFAULT_INTERVAL_MS})
+  --reload            Reload the current tab before each check (default when a URL is given)
+  --no-reload         With a URL: re-read the live page instead of reloading it
+  --observe           React to DOM changes with a MutationObserver instead of polling,
+                      checking once the page has been quiet for --settle ms
+  --settle <ms>       --observe: quiet time before a check (default: ${DEFAULT_SETTLE_MS})
+
+On change:
+  --exec <command>    Run a shell command with the diff on stdin; WATCH_URL,
+                      WATCH_SELECTOR, WATCH_ADDED and WATCH_REMOVED are set
+  --exit-on-change    Exit with code 0 after the first change
+  --timeout <ms>      Give up after <ms> milliseconds (exit code ${EXIT_CODES.TIMEOUT})
+
+Snapshots:
+  --name <name>       Name the snapshot (default: derived from URL, selector and format)
+  --reset             Discard the saved snapshot and start from the current content
+
+  --json              Print each change as a JSON object
+  --help              Show this help message
+
+${OUTPUT_HELP}
+  JSON schema (per change): {"time": string, "url": string, "selector": string | null,
+                             "name": string, "added": number, "removed": number,
+                             "diff": string, "content": string}
+
+Examples:
+  node browser-watch.js "https://shop.example.com/item/42" --selector ".price" --interval 300000
+  node browser-watch.js --selector "#build-status" --observe --exit-on-change --timeout 600000
+  node browser-watch.js --selector ".job-log" --observe --format text
+  node browser-watch.js "https://status.example.com" --exclude ".updated-at" \\
+    --exec 'notify-send "Status page changed"'
+
+${CONNECTION_HELP}
+
+Notes:
+  - Chrome must be running (use browser-start.js)
+  - Snapshots are saved in ${STATE_DIR}, so a restarted watch compares
+    with the last content it saw and reports changes made while it was not running
+  - A URL is watched in its own tab, closed on exit; the current tab is never navigated
+    unless --reload is given
+  - If the selector matches nothing, the check is skipped with a warning (the element may
+    appear later)
+  - Runs until interrupted (Ctrl+C) unless --exit-on-change or --timeout is given
+  `);
+  process.exit(0);
+}
+
+function usageError(message) {
+  console.error(`Error: ${message}`);
+  process.exit(EXIT_CODES.ERROR);
+}
+
+function parsePositiveInt(args, name, fallback) {
+  const value = getOption(args, name, String(fallback));
+  if (!/^\d+$/.test(value) || Number(value) === 0) {
+    usageError(`${name} must be a positive integer`);
+  }
+  return Number(value);
+}
+
+function parseOptions(args) {
+  const [url] = getPositionals(args, VALUE_OPTIONS);
+  const observe = args.includes('--observe');
+  const reload = url ? !args.includes('--no-reload') : args.includes('--reload');
+
+  if (observe && (args.includes('--reload') || args.includes('--interval'))) {
+    usageError('--observe reacts to DOM changes; it cannot be combined with --reload or --interval');
+  }
+  if (!url && args.includes('--no-reload')) {
+    usageError('--no-reload only applies when a URL is given');
+  }
+
+  const contentFormat = getOption(args, '--format', 'markdown');
+  if (!WATCH_FORMATS.includes(contentFormat)) {
+    usageError(`--format must be one of: ${WATCH_FORMATS.join(', ')}`);
+  }
+  const name = getOption(args, '--name', null);
+  if (name !== null && !/^[\w.-]+$/.test(name)) {
+    usageError('--name may only contain letters, digits, ".", "_" and "-"');
+  }
+
+  return {
+    url,
+    selector: getOption(args, '--selector', null),
+    exclude: getOptions(args, '--exclude'),
+    contentFormat,
+    interval: parsePositiveInt(args, '--interval', DEFAULT_INTERVAL_MS),
+    settle: parsePositiveInt(args, '--settle', DEFAULT_SETTLE_MS),
+    observe,
+    reload: reload && !observe,
+    exec: getOption(args, '--exec', null),
+    exitOnChange: args.includes('--exit-on-change'),
+    timeout: args.includes('--timeout') ? parsePositiveInt(args, '--timeout') : null,
+    name,
+    reset: args.includes('--reset')
+  };
+}
+
+// "watch-<name>" or a hash of what is watched, so the same watch finds its snapshot again
+function snapshotKey(url, { selector, exclude, contentFormat, name }) {
+  if (name) {
+    return `watch-${name}`;
+  }
+  const hash = createHash('sha1').update(JSON.stringify([url, selector, exclude, contentFormat])).digest('hex');
+  return `watch-${hash.slice(0, 12)}`;
+}
+
+function render(html, contentFormat) {
+  return contentFormat === 'text' ? toText(html) : toMarkdown(html);
+}
+
+// Whole pages go through Readability like browser-content.js; selected parts
+// and pages too short to be an article are rendered as they are
+async function takeSnapshot(page, { selector, exclude, contentFormat }) {
+  const html = await getPageHtml(page, { selector, exclude });
+  if (!selector) {
+    try {
+      return renderContent(extractArticle(html, page.url()), contentFormat);
+    } catch {
+      // Fall through to the plain body
+    }
+  }
+  return render(bodyHtml(html), contentFormat);
+}
+
+async function installObserver(page, onChange) {
+  await page.exposeFunction(BINDING, onChange);
+  const install = binding => {
+    const start = () => {
+      const observer = new MutationObserver(() => window[binding]());
+      observer.observe(document, { subtree: true, childList: true, characterData: true });
+      window[`${binding}Observer`] = observer;
+    };
+    if (document.readyState === 'loading') {
+      document.addEventListener('DOMContentLoaded', start);
+    } else {
+      start();
+    }
+  };
+  const { identifier } = await page.evaluateOnNewDocument(install, BINDING);
+  await page.evaluate(install, BINDING);
+  return identifier;
+}
+
+async function removeObserver(page, identifier) {
+  await page.removeScriptToEvaluateOnNewDocument(identifier);
+  await page.evaluate(binding => {
+    const observer = window[`${binding}Observer`];
+    if (observer) {
+      observer.disconnect();
+      delete window[`${binding}Observer`];
+    }
+  }, BINDING);
+  await page.removeExposedFunction(BINDING);
+}
+
+function runCommand(command, diff, env, format) {
+  return new Promise(resolve => {
+    // The command's output must not end up in a JSON stream on stdout
+    const child = spawn(command, {
+      shell: true,
+      stdio: ['pipe', format === 'text' ? 'inherit' : process.stderr, 'inherit'],
+      env: { ...process.env, ...env }
+    });
+    child.on('error', error => {
+      logProgress(format, `  Warning: --exec failed: ${error.message}`);
+      resolve();
+    });
+    child.on('close', code => {
+      if (code !== 0) {
+        logProgress(format, `  Warning: --exec exited with code ${code}`);
+      }
+      resolve();
+    });
+    child.stdin.on('error', () => {});
+    child.stdin.end(diff + '\n');
+  });
+}
+
+function formatChange(change) {
+  const time = new Date(change.time).toLocaleTimeString();
+  return `[${time}] Changed: ${change.url}${change.selector ? ` ${change.selector}` : ''} (+${change.added} -${change.removed})\n${change.diff}\n`;
+}
+
+async function main() {
+  const { args, endpoint, tab } = parseConnectionArgs(process.argv.slice(2));
+
+  if (args.includes('--help')) {
+    showHelp();
+  }
+
+  const options = parseOptions(args);
+  const format = getOutputFormat(args);
+
+  let browser;
+  let page;
+  let observerId = null;
+  let stopping = false;
+
+  async function stop(exitCode) {
+    stopping = true;
+    if (page) {
+      if (options.url) {
+        await page.close().catch(() => {});
+      } else if (observerId) {
+        await removeObserver(page, observerId).catch(() => {});
+      }
+    }
+    if (browser) {
+      await browser.disconnect();
+    }
+    process.exit(exitCode);
+  }
+
+  process.on('SIGINT', () => stop(EXIT_CODES.OK));
+  process.on('SIGTERM', () => stop(EXIT_CODES.OK));
+
+  try {
+    browser = await connectBrowser(endpoint);
+    browser.on('disconnected', () => {
+      if (!stopping) {
+        const error = new BrowserError('connection', 'Chrome closed the connection', EXIT_CODES.CONNECTION_REFUSED);
+        process.exit(reportError(error, 'Watch failed', null, format));
+      }
+    });
+
+    if (options.url) {
+      page = await browser.newPage();
+      await page.goto(options.url, { waitUntil: 'load', timeout: PAGE_LOAD_TIMEOUT_MS });
+    } else {
+      page = await getActivePage(browser, { endpoint, tab });
+    }
+
+    const label = `${page.url()}${options.selector ? ` ${options.selector}` : ''}`;
+    const key = snapshotKey(options.url || page.url(), options);
+    const saved = options.reset ? null : readState(key, null);
+    let previous = saved ? saved.content : null;
+    let previousTime = saved ? saved.time : null;
+    logProgress(format, `Watching ${label} (snapshot ${key}${saved ? `, last changed ${saved.time}` : ''})`);
+
+    if (options.timeout) {
+      setTimeout(() => {
+        reportError(timeoutError(`No change within ${options.timeout / 1000}s`), 'Watch failed', endpoint, format);
+        stop(EXIT_CODES.TIMEOUT);
+      }, options.timeout);
+    }
+
+    async function check() {
+      let content;
+      try {
+        content = await takeSnapshot(page, options);
+      } catch (error) {
+        if (classifyError(error).kind === 'connection') {
+          throw error;
+        }
+        logProgress(format, `  Warning: check failed: ${error.message}`);
+        return false;
+      }
+
+      if (content === previous) {
+        return false;
+      }
+
+      const time = new Date().toISOString();
+      const reported = previous !== null;
+      if (reported) {
+        const diff = unifiedDiff(previous, content, { oldLabel: `previous ${previousTime}`, newLabel: `current ${time}` });
+        const lines = diff.split('\n').slice(2);
+        const change = {
+          time,
+          url: page.url(),
+          selector: options.selector,
+          name: key,
+          added: lines.filter(line => line.startsWith('+')).length,
+          removed: lines.filter(line => line.startsWith('-')).length,
+          diff,
+          content
+        };
+        printResult(format, change, formatChange);
+
+        if (options.exec) {
+          await runCommand(options.exec, diff, {
+            WATCH_URL: change.url,
+            WATCH_SELECTOR: options.selector || '',
+            WATCH_ADDED: String(change.added),
+            WATCH_REMOVED: String(change.removed)
+          }, format);
+        }
+      }
+
+      writeState(key, { url: page.url(), selector: options.selector, format: options.contentFormat, time, content });
+      previous = content;
+      previousTime = time;
+      return reported;
+    }
+
+    const runCheck = async () => {
+      if (await check() && options.exitOnChange) {
+        await stop(EXIT_CODES.OK);
+      }
+    };
+
+    await runCheck();
+
+    if (options.observe) {
+      // Checks never overlap: mutations during a check schedule one more afterwards
+      let timer = null;
+      let running = false;
+      let pending = false;
+      const schedule = () => {
+        clearTimeout(timer);
+        timer = setTimeout(async () => {
+          if (running) {
+            pending = true;
+            return;
+          }
+          running = true;
+          do {
+            pending = false;
+            await runCheck().catch(error => stop(reportError(error, 'Watch failed', endpoint, format)));
+          } while (pending);
+          running = false;
+        }, options.settle);
+      };
+      observerId = await installObserver(page, schedule);
+      page.on('load', schedule);
+      logProgress(format, 'Observing DOM changes (Ctrl+C to stop)');
+    } else {
+      logProgress(format, `Checking every ${options.interval / 1000}s (Ctrl+C to stop)`);
+      for (;;) {
+        await new Promise(resolve => setTimeout(resolve, options.interval));
+        if (options.reload) {
+          try {
+            await page.reload({ waitUntil: 'load', timeout: PAGE_LOAD_TIMEOUT_MS });
+          } catch (error) {
+            if (classifyError(error).kind === 'connection') {
+              throw error;
+            }
+            logProgress(format, `  Warning: reload failed: ${error.message}`);
+            continue;
+          }
+        }
+        await runCheck();
+      }
+    }
+
+  } catch (error) {
+    await stop(reportError(error, 'Watch failed', endpoint, format));
+  }
+}
+
+// parseConnectionArgs throws on a bad --port or --session before main's own error handling
+main().catch(error => {
+  process.exit(reportError(error, 'Invalid connection options', null, getOutputFormat(process.argv)));
+});
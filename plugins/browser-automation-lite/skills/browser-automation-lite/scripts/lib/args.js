@@ -0,0 +1,93 @@
+// Minimal argv helpers: flags are `--name`, valued options are `--name <value>`,
+// and everything after a bare `--` is positional, even when it starts with `--`
+
+// The arguments before `--`, where options are looked up
+export function getOptionArgs(args) {
+  const end = args.indexOf('--');
+  return end === -1 ? args : args.slice(0, end);
+}
+
+export function getOption(args, name, fallback) {
+  const options = getOptionArgs(args);
+  const index = options.indexOf(name);
+  if (index === -1 || index + 1 >= options.length) {
+    return fallback;
+  }
+  return options[index + 1];
+}
+
+// Every value of a repeatable option: `--exclude a --exclude b` -> ['a', 'b']
+export function getOptions(args, name) {
+  const options = getOptionArgs(args);
+  const values = [];
+  for (let i = 0; i < options.length - 1; i++) {
+    if (options[i] === name) {
+      values.push(options[++i]);
+    }
+  }
+  return values;
+}
+
+/**
+ * Returns the positional arguments, skipping flags and the values of the
+ * listed valued options (e.g. ['--domain', '-n']). Arguments after `--`
+ * are all positional: `type "#pw" -- "--secret"`.
+ */
+export function getPositionals(args, valueOptions = []) {
+  const positionals = [];
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--') {
+      positionals.push(...args.slice(i + 1));
+      break;
+    } else if (valueOptions.includes(args[i])) {
+      i++;
+    } else if (!args[i].startsWith('--')) {
+      positionals.push(args[i]);
+    }
+  }
+  return positionals;
+}
+
+/**
+ * Splits a command line into arguments the way a shell would for simple
+ * cases: whitespace separates, single and double quotes group, and a
+ * backslash escapes the next character outside single quotes.
+ */
+export function splitArgs(line) {
+  const args = [];
+  let current = null;
+  let quote = null;
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quote) {
+      if (char === quote) {
+        quote = null;
+      } else if (char === '\\' && quote === '"' && i + 1 < line.length) {
+        current += line[++i];
+      } else {
+        current += char;
+      }
+    } else if (/\s/.test(char)) {
+      if (current !== null) {
+        args.push(current);
+        current = null;
+      }
+    } else {
+      current = current ?? '';
+      if (char === '"' || char === "'") {
+        quote = char;
+      } else if (char === '\\' && i + 1 < line.length) {
+        current += line[++i];
+      } else {
+        current += char;
+      }
+    }
+  }
+  if (quote) {
+    throw new Error(`Unterminated ${quote === '"' ? 'double' : 'single'} quote`);
+  }
+  if (current !== null) {
+    args.push(current);
+  }
+  return args;
+}
@@ -0,0 +1,120 @@
+import { createHash } from 'crypto';
+import { mkdirSync, writeFileSync } from 'fs';
+import { extname, join, relative, sep } from 'path';
+import { JSDOM } from 'jsdom';
+import { withTimeout } from './connection.js';
+
+const ASSET_TIMEOUT_MS = 15000;
+
+const MIME_EXTENSIONS = {
+  'image/png': '.png',
+  'image/jpeg': '.jpg',
+  'image/gif': '.gif',
+  'image/webp': '.webp',
+  'image/avif': '.avif',
+  'image/svg+xml': '.svg',
+  'image/bmp': '.bmp',
+  'image/x-icon': '.ico',
+  'image/vnd.microsoft.icon': '.ico'
+};
+const KNOWN_EXTENSIONS = new Set(Object.values(MIME_EXTENSIONS).concat('.jpeg'));
+
+// Loaded by the browser's own network stack on behalf of the tab, so every
+// cookie (HttpOnly and partitioned included), the proxy and client
+// certificates apply exactly as for the page itself
+async function fetchWithBrowser(session, frameId, url) {
+  const { resource } = await session.send('Network.loadNetworkResource', {
+    frameId,
+    url,
+    options: { disableCache: false, includeCredentials: true }
+  });
+
+  const body = [];
+  try {
+    if (resource.stream) {
+      for (;;) {
+        const chunk = await session.send('IO.read', { handle: resource.stream });
+        body.push(Buffer.from(chunk.data, chunk.base64Encoded ? 'base64' : 'utf8'));
+        if (chunk.eof) {
+          break;
+        }
+      }
+    }
+  } finally {
+    if (resource.stream) {
+      await session.send('IO.close', { handle: resource.stream }).catch(() => {});
+    }
+  }
+
+  if (!resource.success) {
+    throw new Error(resource.netErrorName || `HTTP ${resource.httpStatusCode}`);
+  }
+  if (resource.httpStatusCode >= 400) {
+    throw new Error(`HTTP ${resource.httpStatusCode}`);
+  }
+
+  const headers = Object.fromEntries(Object.entries(resource.headers || {}).map(([name, value]) => [name.toLowerCase(), value]));
+  const contentType = (headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+  return { body: Buffer.concat(body), contentType };
+}
+
+// Content-addressed by URL, so the same image shared by several pages is stored once
+function assetFileName(url, contentType) {
+  const hash = createHash('sha1').update(url).digest('hex').slice(0, 16);
+  const urlExtension = extname(new URL(url).pathname).toLowerCase();
+  const extension = MIME_EXTENSIONS[contentType] || (KNOWN_EXTENSIONS.has(urlExtension) ? urlExtension : '.bin');
+  return hash + extension;
+}
+
+/**
+ * Downloads every remote <img> in `html` into `assetsDir` and points the
+ * images at the local copies, relative to `documentDir` (where the output
+ * document will live). Images that fail to download keep their remote URL.
+ * Expects absolute image URLs (see absolutizeUrls).
+ */
+export async function downloadImages(page, html, { assetsDir, documentDir = process.cwd() }) {
+  const doc = new JSDOM(`<body>${html}</body>`).window.document;
+  const saved = new Map();
+  const assets = [];
+  const failed = [];
+
+  mkdirSync(assetsDir, { recursive: true });
+
+  const session = await page.createCDPSession();
+  try {
+    const { frameTree } = await session.send('Page.getFrameTree');
+    for (const img of doc.querySelectorAll('img[src]')) {
+      const url = img.getAttribute('src');
+      if (!/^https?:/.test(url)) {
+        continue;
+      }
+
+      if (!saved.has(url)) {
+        try {
+          const { body, contentType } = await withTimeout(fetchWithBrowser(session, frameTree.frame.id, url), ASSET_TIMEOUT_MS, `Downloading ${url}`);
+          const file = join(assetsDir, assetFileName(url, contentType));
+          writeFileSync(file, body);
+          saved.set(url, file);
+          assets.push({ url, file });
+        } catch (error) {
+          saved.set(url, null);
+          failed.push({ url, error: error.message });
+        }
+      }
+
+      const file = saved.get(url);
+      if (file) {
+        img.setAttribute('src', relative(documentDir, file).split(sep).join('/'));
+        // Responsive candidates would still point at the remote host
+        img.removeAttribute('srcset');
+        if (img.parentElement && img.parentElement.nodeName === 'PICTURE') {
+          img.parentElement.querySelectorAll('source').forEach(source => source.remove());
+        }
+      }
+    }
+  } finally {
+    await session.detach().catch(() => {});
+  }
+
+  return { html: doc.body.innerHTML, assets, failed };
+}
@@ -0,0 +1,222 @@
+import { copyFileSync, cpSync, existsSync, mkdirSync, readdirSync, rmSync } from 'fs';
+import { homedir } from 'os';
+import { basename, delimiter, dirname, isAbsolute, join } from 'path';
+import { connectBrowser } from './connection.js';
+import { isPortResponding, isProcessAlive, isSessionProcess } from './sessions.js';
+
+const EXIT_WAIT_MS = 5000;
+const POLL_INTERVAL_MS = 100;
+
+// Executable names looked up on $PATH, in order of preference
+const PATH_NAMES = [
+  'google-chrome',
+  'google-chrome-stable',
+  'chromium',
+  'chromium-browser',
+  'brave-browser',
+  'brave',
+  'chrome'
+];
+
+// Chrome-for-Testing layouts inside puppeteer's cache (~/.cache/puppeteer/chrome/<platform>-<version>/)
+const PUPPETEER_BINARIES = [
+  'chrome-linux64/chrome',
+  'chrome-mac-arm64/Google Chrome for Testing.app/Contents/MacOS/Google Chrome for Testing',
+  'chrome-mac-x64/Google Chrome for Testing.app/Contents/MacOS/Google Chrome for Testing',
+  'chrome-win64/chrome.exe'
+];
+
+// Locks would make Chrome think the profile is in use; caches are large and rebuilt on demand
+const PROFILE_SKIP = new Set([
+  'SingletonLock',
+  'SingletonSocket',
+  'SingletonCookie',
+  'LOCK',
+  'lockfile',
+  'Cache',
+  'Code Cache',
+  'GPUCache',
+  'DawnCache',
+  'DawnGraphiteCache',
+  'DawnWebGPUCache',
+  'GrShaderCache',
+  'ShaderCache',
+  'CacheStorage',
+  'ScriptCache',
+  'component_crx_cache'
+]);
+
+function installedCandidates() {
+  const home = homedir();
+
+  if (process.platform === 'darwin') {
+    const apps = [
+      'Google Chrome.app/Contents/MacOS/Google Chrome',
+      'Chromium.app/Contents/MacOS/Chromium',
+      'Brave Browser.app/Contents/MacOS/Brave Browser',
+      'Google Chrome for Testing.app/Contents/MacOS/Google Chrome for Testing'
+    ];
+    return apps.flatMap(app => [join('/Applications', app), join(home, 'Applications', app)]);
+  }
+
+  if (process.platform === 'win32') {
+    const roots = [process.env.PROGRAMFILES, process.env['PROGRAMFILES(X86)'], process.env.LOCALAPPDATA].filter(Boolean);
+    const apps = [
+      'Google/Chrome/Application/chrome.exe',
+      'Chromium/Application/chrome.exe',
+      'BraveSoftware/Brave-Browser/Application/brave.exe'
+    ];
+    return roots.flatMap(root => apps.map(app => join(root, app)));
+  }
+
+  return [
+    '/usr/bin/google-chrome',
+    '/usr/bin/google-chrome-stable',
+    '/usr/bin/chromium',
+    '/usr/bin/chromium-browser',
+    '/snap/bin/chromium',
+    '/usr/bin/brave-browser',
+    '/opt/brave.com/brave/brave',
+    '/opt/google/chrome/chrome'
+  ];
+}
+
+function pathCandidates() {
+  const dirs = (process.env.PATH || '').split(delimiter).filter(Boolean);
+  const suffix = process.platform === 'win32' ? '.exe' : '';
+  return dirs.flatMap(dir => PATH_NAMES.map(name => join(dir, name + suffix)));
+}
+
+function compareVersionsDesc(a, b) {
+  const pa = a.replace(/^[^\d]*/, '').split('.').map(Number);
+  const pb = b.replace(/^[^\d]*/, '').split('.').map(Number);
+  for (let i = 0; i < Math.max(pa.length, pb.length); i++) {
+    const diff = (pb[i] || 0) - (pa[i] || 0);
+    if (diff !== 0) {
+      return diff;
+    }
+  }
+  return 0;
+}
+
+function puppeteerCandidates() {
+  const cacheDir = join(process.env.PUPPETEER_CACHE_DIR || join(homedir(), '.cache/puppeteer'), 'chrome');
+  if (!existsSync(cacheDir)) {
+    return [];
+  }
+
+  // Newest build first
+  const versions = readdirSync(cacheDir).sort(compareVersionsDesc);
+  return versions.flatMap(version => PUPPETEER_BINARIES.map(binary => join(cacheDir, version, binary)));
+}
+
+/**
+ * Resolves the browser to launch: an explicit path (--chrome-path, then
+ * CHROME_PATH) must exist; otherwise the first hit among well-known install
+ * locations, $PATH and puppeteer's Chrome-for-Testing cache wins.
+ */
+export function findChromeExecutable(explicitPath = process.env.CHROME_PATH) {
+  if (explicitPath) {
+    if (!existsSync(explicitPath)) {
+      throw new Error(`Chrome executable not found at ${explicitPath}`);
+    }
+    return explicitPath;
+  }
+
+  const candidates = [...installedCandidates(), ...pathCandidates(), ...puppeteerCandidates()];
+  const found = candidates.find(candidate => existsSync(candidate));
+  if (!found) {
+    throw new Error('Chrome/Chromium not found. Install Chrome, Chromium or Brave, or pass --chrome-path / set CHROME_PATH.');
+  }
+  return found;
+}
+
+export function getChromeUserDataRoots() {
+  const home = homedir();
+
+  if (process.platform === 'darwin') {
+    const support = join(home, 'Library/Application Support');
+    return [join(support, 'Google/Chrome'), join(support, 'Chromium'), join(support, 'BraveSoftware/Brave-Browser')];
+  }
+  if (process.platform === 'win32') {
+    const local = process.env.LOCALAPPDATA || join(home, 'AppData/Local');
+    return [join(local, 'Google/Chrome/User Data'), join(local, 'Chromium/User Data'), join(local, 'BraveSoftware/Brave-Browser/User Data')];
+  }
+  return [join(home, '.config/google-chrome'), join(home, '.config/chromium'), join(home, '.config/BraveSoftware/Brave-Browser')];
+}
+
+/**
+ * Accepts a profile directory name ("Default", "Profile 1") looked up in the
+ * known user-data roots, or a path to a profile directory.
+ */
+export function resolveProfileDir(spec = 'Default') {
+  if (isAbsolute(spec) || spec.startsWith('.')) {
+    if (!existsSync(spec)) {
+      throw new Error(`Chrome profile not found at ${spec}`);
+    }
+    return spec;
+  }
+
+  const roots = getChromeUserDataRoots();
+  const found = roots.map(root => join(root, spec)).find(dir => existsSync(dir));
+  if (!found) {
+    throw new Error(`Chrome profile "${spec}" not found in:\n    ${roots.join('\n    ')}`);
+  }
+  return found;
+}
+
+/**
+ * Copies a profile into <userDataDir>/Default (replacing the previous copy)
+ * together with the sibling "Local State" file, skipping locks and caches.
+ */
+export function copyProfile(profileDir, userDataDir) {
+  const target = join(userDataDir, 'Default');
+
+  rmSync(target, { recursive: true, force: true });
+  mkdirSync(userDataDir, { recursive: true });
+  cpSync(profileDir, target, {
+    recursive: true,
+    verbatimSymlinks: true,
+    filter: source => !PROFILE_SKIP.has(basename(source))
+  });
+
+  const localState = join(dirname(profileDir), 'Local State');
+  if (existsSync(localState)) {
+    copyFileSync(localState, join(userDataDir, 'Local State'));
+  }
+
+  return target;
+}
+
+async function waitForExit(pid) {
+  const deadline = Date.now() + EXIT_WAIT_MS;
+  while (isProcessAlive(pid) && Date.now() < deadline) {
+    await new Promise(resolve => setTimeout(resolve, POLL_INTERVAL_MS));
+  }
+  return !isProcessAlive(pid);
+}
+
+/**
+ * Closes the Chrome answering on the session's port through the DevTools
+ * protocol, then signals the recorded pid if it is still the session's own
+ * Chrome (a pid whose command line does not match is never signalled).
+ * Returns whether anything was running.
+ */
+export async function stopChrome(record) {
+  const responding = await isPortResponding(record.port);
+  const ownProcess = isSessionProcess(record);
+
+  if (responding) {
+    const browser = await connectBrowser({ browserURL: `http://localhost:${record.port}` });
+    await browser.close();
+  }
+
+  if (ownProcess && !await waitForExit(record.pid) && isSessionProcess(record)) {
+    process.kill(record.pid, 'SIGTERM');
+    if (!await waitForExit(record.pid) && isSessionProcess(record)) {
+      process.kill(record.pid, 'SIGKILL');
+    }
+  }
+
+  return responding || ownProcess;
+}
@@ -0,0 +1,234 @@
+// Heading-aware splitting of extracted Markdown, so long pages can be read
+// section by section or in size-limited chunks.
+
+// Rough average for English prose; good enough to stay under a context budget
+export const CHARS_PER_TOKEN = 4;
+
+const FENCE = /^(`{3,}|~{3,})/;
+const HEADING = /^(#{1,6})\s+(.*?)\s*#*\s*$/;
+
+export function estimateTokens(text) {
+  return Math.ceil(text.length / CHARS_PER_TOKEN);
+}
+
+// Blocks are separated by blank lines; fenced code blocks stay whole
+function splitBlocks(markdown) {
+  const blocks = [];
+  let current = [];
+  let fence = null;
+
+  for (const line of markdown.split('\n')) {
+    const marker = line.match(FENCE);
+    if (fence) {
+      current.push(line);
+      if (marker && line.startsWith(fence)) {
+        fence = null;
+      }
+    } else if (marker) {
+      fence = marker[1];
+      current.push(line);
+    } else if (line.trim() === '') {
+      if (current.length > 0) {
+        blocks.push(current.join('\n'));
+        current = [];
+      }
+    } else {
+      current.push(line);
+    }
+  }
+  if (current.length > 0) {
+    blocks.push(current.join('\n'));
+  }
+  return blocks;
+}
+
+/**
+ * Splits Markdown at ATX headings. Section ids are dotted numbers ("2",
+ * "2.1", ...) counted from the highest heading level present; content
+ * before the first heading is section "0".
+ */
+export function parseSections(markdown) {
+  const blocks = splitBlocks(markdown);
+  const headings = blocks.map(block => !block.includes('\n') && block.match(HEADING));
+  const levels = headings.filter(Boolean).map(match => match[1].length);
+  const topLevel = levels.length > 0 ? Math.min(...levels) : 1;
+
+  const sections = [];
+  const counters = [];
+  let current = { id: '0', level: 0, title: '(introduction)', blocks: [] };
+
+  blocks.forEach((block, i) => {
+    const heading = headings[i];
+    if (!heading) {
+      current.blocks.push(block);
+      return;
+    }
+
+    if (current.blocks.length > 0) {
+      sections.push(current);
+    }
+    const depth = heading[1].length - topLevel;
+    counters[depth] = (counters[depth] || 0) + 1;
+    counters.length = depth + 1;
+    current = {
+      id: Array.from(counters, count => count || 0).join('.'),
+      level: heading[1].length,
+      title: heading[2],
+      blocks: [block]
+    };
+  });
+  if (current.blocks.length > 0) {
+    sections.push(current);
+  }
+
+  return sections.map(section => ({ ...section, content: section.blocks.join('\n\n') }));
+}
+
+// A section together with its subsections
+function sectionSubtree(sections, index) {
+  const root = sections[index];
+  if (root.level === 0) {
+    return [root];
+  }
+  let end = index + 1;
+  while (end < sections.length && sections[end].level > root.level) {
+    end++;
+  }
+  return sections.slice(index, end);
+}
+
+export function buildToc(markdown) {
+  const sections = parseSections(markdown);
+  return sections.map((section, i) => {
+    const content = sectionSubtree(sections, i).map(s => s.content).join('\n\n');
+    return { id: section.id, level: section.level, title: section.title, chars: content.length, tokens: estimateTokens(content) };
+  });
+}
+
+/**
+ * Returns one section (with its subsections), looked up by id or by
+ * heading text (case-insensitive).
+ */
+export function getSection(markdown, spec) {
+  const sections = parseSections(markdown);
+  let index = sections.findIndex(section => section.id === spec);
+  if (index === -1) {
+    index = sections.findIndex(section => section.title.toLowerCase() === spec.toLowerCase());
+  }
+
+  if (index === -1) {
+    throw new Error(`No section "${spec}" (run with --toc to list section ids)`);
+  }
+
+  const subtree = sectionSubtree(sections, index);
+  return {
+    id: sections[index].id,
+    title: sections[index].title,
+    sections: subtree.map(section => section.id),
+    content: subtree.map(section => section.content).join('\n\n')
+  };
+}
+
+// Splits text longer than maxChars at the last whitespace before the limit
+function splitLine(line, maxChars) {
+  const pieces = [];
+  let rest = line;
+  while (rest.length > maxChars) {
+    const cut = rest.lastIndexOf(' ', maxChars);
+    const at = cut > 0 ? cut : maxChars;
+    pieces.push(rest.slice(0, at));
+    rest = rest.slice(at).trimStart();
+  }
+  pieces.push(rest);
+  return pieces;
+}
+
+// Packs lines into pieces of at most maxChars, each wrapped in `prefix`/`suffix` lines
+function packLines(lines, maxChars, prefix = [], suffix = []) {
+  const overhead = [...prefix, ...suffix].reduce((sum, line) => sum + line.length + 1, 0);
+  const budget = Math.max(maxChars - overhead, 1);
+  const pieces = [];
+  let current = [];
+  let size = 0;
+
+  for (const line of lines.flatMap(line => splitLine(line, budget))) {
+    if (current.length > 0 && size + line.length + 1 > budget) {
+      pieces.push([...prefix, ...current, ...suffix].join('\n'));
+      current = [];
+      size = 0;
+    }
+    current.push(line);
+    size += line.length + 1;
+  }
+  if (current.length > 0) {
+    pieces.push([...prefix, ...current, ...suffix].join('\n'));
+  }
+  return pieces;
+}
+
+// An oversized block is split by lines; code fences are closed and reopened
+// and table headers repeated, so every piece is valid Markdown on its own
+function splitBlock(block, maxChars) {
+  const lines = block.split('\n');
+  const fence = lines[0].match(FENCE);
+
+  if (fence && lines.length > 1) {
+    const closed = lines[lines.length - 1].startsWith(fence[1]);
+    const body = lines.slice(1, closed ? -1 : undefined);
+    return packLines(body, maxChars, [lines[0]], [fence[1]]);
+  }
+  if (lines[0].startsWith('|') && lines.length > 2 && /^\|?[\s:|-]+\|?$/.test(lines[1])) {
+    return packLines(lines.slice(2), maxChars, lines.slice(0, 2));
+  }
+  return packLines(lines, maxChars);
+}
+
+/**
+ * Splits Markdown into chunks of at most maxChars. Whole sections are kept
+ * together where they fit; larger sections break between paragraphs, then
+ * between lines, then between words, and every chunk that holds part of one
+ * starts that part with the section's heading.
+ */
+export function chunkMarkdown(markdown, maxChars) {
+  const units = [];
+  for (const section of parseSections(markdown)) {
+    if (section.content.length <= maxChars) {
+      units.push({ sectionId: section.id, text: section.content });
+      continue;
+    }
+    const blocks = [...section.blocks];
+    let heading = section.level > 0 ? blocks.shift() : null;
+    // A heading that would crowd out the body is not repeated; it starts the section on its own
+    if (heading && heading.length + 2 > maxChars / 2) {
+      splitLine(heading, maxChars).forEach(text => units.push({ sectionId: section.id, text }));
+      heading = null;
+    }
+    const budget = heading ? maxChars - heading.length - 2 : maxChars;
+    for (const block of blocks) {
+      const pieces = block.length <= budget ? [block] : splitBlock(block, budget);
+      pieces.forEach(text => units.push({ sectionId: section.id, heading, text }));
+    }
+  }
+
+  const chunks = [];
+  let current = null;
+  for (const unit of units) {
+    const continues = current && current.sections[current.sections.length - 1] === unit.sectionId;
+    const text = unit.heading && !continues ? `${unit.heading}\n\n${unit.text}` : unit.text;
+    if (current && current.content.length + 2 + text.length <= maxChars) {
+      current.content += `\n\n${text}`;
+    } else {
+      const opening = unit.heading ? `${unit.heading}\n\n${unit.text}` : unit.text;
+      current = { index: chunks.length + 1, sections: [], content: opening };
+      chunks.push(current);
+    }
+    if (!current.sections.includes(unit.sectionId)) {
+      current.sections.push(unit.sectionId);
+    }
+  }
+
+  if (chunks.length === 0) {
+    chunks.push({ index: 1, sections: [], content: '' });
+  }
+  return chunks;
+}
@@ -0,0 +1,282 @@
+import puppeteer, { TimeoutError } from 'puppeteer-core';
+import { readState, writeState } from './state.js';
+import { readSession } from './sessions.js';
+
+export const DEFAULT_HOST = 'localhost';
+export const DEFAULT_PORT = 9222;
+export const CONNECTION_TIMEOUT_MS = 5000;
+
+// Exit codes shared by every browser-* script
+export const EXIT_CODES = {
+  OK: 0,
+  ERROR: 1,
+  CONNECTION_REFUSED: 3,
+  NO_TAB: 4,
+  TIMEOUT: 5,
+  NO_ELEMENT: 6,
+  HTTP_ERROR: 7,
+  BLOCKED: 8,
+  VISUAL_DIFF: 9
+};
+
+export const CONNECTION_HELP = `Connection:
+  --host <host>     Chrome debugging host (default: ${DEFAULT_HOST})
+  --port <port>     Chrome debugging port (default: ${DEFAULT_PORT})
+  --session <name>  Attach to a named session started with browser-start.js --session
+  --tab <tab>       Target tab: index, target id or URL substring
+                    (default: the tab marked with browser-tabs.js default, else the first tab)
+
+  Environment: BROWSER_SESSION, BROWSER_WS_ENDPOINT (ws://...) or BROWSER_DEBUG_URL
+  (e.g. http://127.0.0.1:9223) select the instance when no flag is given.
+
+Exit codes:
+  0 success, 1 error, ${EXIT_CODES.CONNECTION_REFUSED} connection refused, ${EXIT_CODES.NO_TAB} no tab, ${EXIT_CODES.TIMEOUT} timeout,
+  ${EXIT_CODES.NO_ELEMENT} selector matched no element (or several), ${EXIT_CODES.HTTP_ERROR} HTTP error status (4xx/5xx),
+  ${EXIT_CODES.BLOCKED} blocked by a consent wall, CAPTCHA or bot check, ${EXIT_CODES.VISUAL_DIFF} screenshot differs from its baseline`;
+
+export class BrowserError extends Error {
+  constructor(kind, message, exitCode) {
+    super(message);
+    this.name = 'BrowserError';
+    this.kind = kind;
+    this.exitCode = exitCode;
+  }
+}
+
+export function noTabError(message = 'No active tab found. Navigate to a page first.') {
+  return new BrowserError('no-tab', message, EXIT_CODES.NO_TAB);
+}
+
+export function timeoutError(message) {
+  return new BrowserError('timeout', message, EXIT_CODES.TIMEOUT);
+}
+
+// Rejects after `ms` so one hung page cannot stall its worker
+export function withTimeout(promise, ms, label) {
+  let timer;
+  const expired = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(timeoutError(`${label} took longer than ${ms / 1000}s`)), ms);
+  });
+  return Promise.race([promise, expired]).finally(() => clearTimeout(timer));
+}
+
+export function elementError(message) {
+  return new BrowserError('element', message, EXIT_CODES.NO_ELEMENT);
+}
+
+export function httpError(message) {
+  return new BrowserError('http', message, EXIT_CODES.HTTP_ERROR);
+}
+
+export function blockedError(message) {
+  return new BrowserError('blocked', message, EXIT_CODES.BLOCKED);
+}
+
+/**
+ * Removes the connection flags from an argv array and resolves the
+ * endpoint (and optional --tab) to connect to. Flags win over environment
+ * variables. A bad --port or --session throws a BrowserError for the
+ * script's reportError.
+ */
+export function parseConnectionArgs(argv) {
+  const args = [];
+  let host;
+  let port;
+  let session;
+  let tab;
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--') {
+      args.push(...argv.slice(i));
+      break;
+    } else if (argv[i] === '--host') {
+      host = argv[++i];
+    } else if (argv[i] === '--port') {
+      port = argv[++i];
+    } else if (argv[i] === '--session') {
+      session = argv[++i];
+    } else if (argv[i] === '--tab') {
+      tab = argv[++i];
+    } else {
+      args.push(argv[i]);
+    }
+  }
+
+  if (port !== undefined && !/^\d+$/.test(port)) {
+    throw new BrowserError('usage', `Invalid --port value: ${port}`, EXIT_CODES.ERROR);
+  }
+
+  session = session || process.env.BROWSER_SESSION;
+
+  let endpoint;
+  if (host || port) {
+    endpoint = { browserURL: `http://${host || DEFAULT_HOST}:${port || DEFAULT_PORT}` };
+  } else if (session) {
+    endpoint = { browserURL: `http://${DEFAULT_HOST}:${resolveSessionPort(session)}` };
+  } else if (process.env.BROWSER_WS_ENDPOINT) {
+    endpoint = { browserWSEndpoint: process.env.BROWSER_WS_ENDPOINT };
+  } else if (process.env.BROWSER_DEBUG_URL) {
+    endpoint = { browserURL: process.env.BROWSER_DEBUG_URL.replace(/\/+$/, '') };
+  } else {
+    endpoint = { browserURL: `http://${DEFAULT_HOST}:${DEFAULT_PORT}` };
+  }
+
+  return { args, endpoint, tab };
+}
+
+function resolveSessionPort(name) {
+  let record;
+  try {
+    record = readSession(name);
+  } catch (error) {
+    throw new BrowserError('usage', error.message, EXIT_CODES.ERROR);
+  }
+  if (!record) {
+    throw new BrowserError('connection', `Unknown session "${name}" (start it with: node browser-start.js --session ${name})`, EXIT_CODES.CONNECTION_REFUSED);
+  }
+  return record.port;
+}
+
+export function describeEndpoint(endpoint) {
+  return endpoint.browserWSEndpoint || endpoint.browserURL.replace(/^https?:\/\//, '');
+}
+
+export async function connectBrowser(endpoint) {
+  try {
+    return await puppeteer.connect({
+      ...endpoint,
+      defaultViewport: null,
+      timeout: CONNECTION_TIMEOUT_MS
+    });
+  } catch (error) {
+    throw new BrowserError(
+      'connection',
+      `Could not connect to Chrome on ${describeEndpoint(endpoint)} (${error.message})`,
+      EXIT_CODES.CONNECTION_REFUSED
+    );
+  }
+}
+
+/**
+ * The tab's CDP target id, which stays the same across connections. Asked
+ * of the tab itself (Target.getTargetInfo) over a short-lived session.
+ */
+export async function getTargetId(page) {
+  const session = await page.createCDPSession();
+  try {
+    const { targetInfo } = await session.send('Target.getTargetInfo');
+    return targetInfo.targetId;
+  } finally {
+    await session.detach().catch(() => {});
+  }
+}
+
+// The first page whose target id is `id` (case-insensitive), or null
+async function findPageById(pages, id) {
+  for (const page of pages) {
+    if ((await getTargetId(page)).toLowerCase() === id.toLowerCase()) {
+      return page;
+    }
+  }
+  return null;
+}
+
+export function getDefaultTab(endpoint) {
+  return readState('default-tabs')[describeEndpoint(endpoint)];
+}
+
+export function setDefaultTab(endpoint, targetId) {
+  const defaults = readState('default-tabs');
+  const key = describeEndpoint(endpoint);
+  if (targetId) {
+    defaults[key] = targetId;
+  } else {
+    delete defaults[key];
+  }
+  writeState('default-tabs', defaults);
+}
+
+/**
+ * Finds the page matching a --tab spec: a numeric index into
+ * browser.pages(), an exact (case-insensitive) target id, or a substring
+ * of the tab URL. Returns null when nothing matches.
+ */
+export async function findTab(pages, spec) {
+  if (/^\d+$/.test(spec)) {
+    return pages[Number(spec)] || null;
+  }
+
+  const byId = await findPageById(pages, spec);
+  if (byId) {
+    return byId;
+  }
+
+  const byUrl = pages.filter(page => page.url().includes(spec));
+  if (byUrl.length > 1) {
+    throw new Error(`--tab "${spec}" matches ${byUrl.length} tabs; use an index or target id (see browser-tabs.js)`);
+  }
+  return byUrl[0] || null;
+}
+
+export async function getActivePage(browser, { endpoint, tab, create = false } = {}) {
+  const pages = await browser.pages();
+
+  if (tab !== undefined) {
+    const page = await findTab(pages, tab);
+    if (!page) {
+      throw noTabError(`No tab matches "${tab}". Run browser-tabs.js to list open tabs.`);
+    }
+    return page;
+  }
+
+  const defaultId = endpoint && getDefaultTab(endpoint);
+  if (defaultId) {
+    const page = await findPageById(pages, defaultId);
+    if (page) {
+      return page;
+    }
+  }
+
+  if (pages[0]) {
+    return pages[0];
+  }
+  if (create) {
+    return browser.newPage();
+  }
+  throw noTabError();
+}
+
+export function classifyError(error) {
+  if (error instanceof BrowserError) {
+    return { kind: error.kind, exitCode: error.exitCode };
+  }
+  if (error instanceof TimeoutError || error.name === 'TimeoutError') {
+    return { kind: 'timeout', exitCode: EXIT_CODES.TIMEOUT };
+  }
+  return { kind: 'error', exitCode: EXIT_CODES.ERROR };
+}
+
+/**
+ * Prints a consistent error report to stderr and returns the exit code
+ * the script should terminate with. In --json/--jsonl mode the report is a
+ * single JSON object: {"error":{"kind","message","exitCode"}}.
+ */
+export function reportError(error, label, endpoint, format = 'text') {
+  const { kind, exitCode } = classifyError(error);
+
+  if (format !== 'text') {
+    console.error(JSON.stringify({ error: { kind, message: error.message, exitCode } }));
+  } else if (kind === 'connection') {
+    console.error(endpoint ? `✗ Could not connect to Chrome on ${describeEndpoint(endpoint)}` : `✗ ${error.message}`);
+    console.error('  Make sure Chrome is running with remote debugging enabled.');
+    console.error('  Run: node browser-start.js (or pass --host/--port)');
+  } else if (kind === 'no-tab' || kind === 'element' || kind === 'http' || kind === 'blocked') {
+    console.error('✗', error.message);
+  } else if (kind === 'timeout') {
+    console.error(`✗ ${label}: timed out (${error.message})`);
+  } else {
+    console.error(`✗ ${label}:`, error.message);
+  }
+
+  return exitCode;
+}
@@ -0,0 +1,331 @@
+import { JSDOM } from 'jsdom';
+import { Readability } from '@mozilla/readability';
+import TurndownService from 'turndown';
+import { gfm } from 'turndown-plugin-gfm';
+import { elementError } from './connection.js';
+
+export const CONTENT_FORMATS = ['markdown', 'text', 'html', 'json'];
+export const MIN_CONTENT_LENGTH = 100;
+export const DEFAULT_URL_TIMEOUT_MS = 15000;
+
+// File extension per rendered format (json output is one document, not a file)
+export const FORMAT_EXTENSIONS = { markdown: 'md', text: 'txt', html: 'html', json: 'json' };
+
+const BLOCK_ELEMENTS = 'p, div, section, article, header, footer, h1, h2, h3, h4, h5, h6, ul, ol, pre, blockquote, table, figure, figcaption, hr';
+
+function readMeta(doc, names) {
+  for (const name of names) {
+    const meta = doc.querySelector(`meta[name="${name}"], meta[property="${name}"]`);
+    if (meta && meta.getAttribute('content')) {
+      return meta.getAttribute('content').trim();
+    }
+  }
+  return null;
+}
+
+// Used when Readability finds no article: strip page chrome and keep the main container
+function fallbackArticle(doc) {
+  const unwanted = doc.querySelectorAll('script, style, nav, header, footer, aside, .navigation, .menu, .sidebar');
+  unwanted.forEach(el => el.remove());
+
+  const mainContent = doc.querySelector('main') ||
+                      doc.querySelector('article') ||
+                      doc.querySelector('[role="main"]') ||
+                      doc.querySelector('.content') ||
+                      doc.querySelector('#content') ||
+                      doc.body;
+
+  return {
+    title: doc.title || 'Untitled',
+    content: mainContent ? mainContent.innerHTML : '',
+    textContent: mainContent ? mainContent.textContent : '',
+    byline: readMeta(doc, ['author', 'article:author']),
+    siteName: readMeta(doc, ['og:site_name', 'application-name']),
+    excerpt: readMeta(doc, ['description', 'og:description']),
+    lang: doc.documentElement.getAttribute('lang'),
+    publishedTime: readMeta(doc, ['article:published_time', 'date'])
+  };
+}
+
+/**
+ * Serializes the tab's live DOM (whatever scripts and the user have done to
+ * it), minus elements matching `exclude`. With `selector`, the body is reduced
+ * to the matching containers so extraction only sees them; <head> is kept for
+ * the title and metadata.
+ */
+export async function getPageHtml(page, { selector, exclude = [] } = {}) {
+  const result = await page.evaluate((selector, exclude) => {
+    const root = document.documentElement.cloneNode(true);
+    for (const excluded of exclude) {
+      root.querySelectorAll(excluded).forEach(el => el.remove());
+    }
+
+    if (selector) {
+      const containers = Array.from(root.querySelectorAll(selector));
+      if (containers.length === 0) {
+        return { missing: true };
+      }
+      let body = root.querySelector('body');
+      if (!body) {
+        body = document.createElement('body');
+        root.appendChild(body);
+      }
+      // Nested matches are already inside an outer one
+      body.replaceChildren(...containers.filter(el => !containers.some(other => other !== el && other.contains(el))));
+    }
+
+    return { html: `<!DOCTYPE html>${root.outerHTML}` };
+  }, selector || null, exclude);
+
+  if (result.missing) {
+    throw elementError(`No element matches "${selector}"`);
+  }
+  return result.html;
+}
+
+/**
+ * Runs Readability (falling back to basic HTML cleaning) over a page's HTML.
+ * Returns the article HTML plus everything Readability knows about it.
+ */
+export function extractArticle(html, url) {
+  const dom = new JSDOM(html, { url });
+  const article = new Readability(dom.window.document).parse() ||
+    fallbackArticle(new JSDOM(html, { url }).window.document);
+
+  const textLength = article.textContent.replace(/\s+/g, ' ').trim().length;
+  if (textLength < MIN_CONTENT_LENGTH) {
+    throw new Error(`Insufficient content extracted (${textLength} chars, minimum ${MIN_CONTENT_LENGTH})`);
+  }
+
+  return {
+    url,
+    title: (article.title || '').trim() || 'Untitled',
+    html: article.content,
+    byline: article.byline || null,
+    siteName: article.siteName || null,
+    excerpt: article.excerpt || null,
+    lang: article.lang || null,
+    publishedTime: article.publishedTime || null,
+    length: textLength
+  };
+}
+
+/**
+ * Loads `url` in the tab (without one, the tab's current page is used as-is)
+ * and extracts its article, scoped by `selector` and `exclude` as in
+ * getPageHtml. With `absoluteUrls`, links and images point at absolute URLs.
+ */
+export async function extractContent(page, url, { timeout = DEFAULT_URL_TIMEOUT_MS, selector, exclude, absoluteUrls } = {}) {
+  if (url) {
+    await page.goto(url, { waitUntil: 'domcontentloaded', timeout });
+  }
+  const article = extractArticle(await getPageHtml(page, { selector, exclude }), page.url());
+  if (absoluteUrls) {
+    article.html = absolutizeUrls(article.html, article.url);
+  }
+  return article;
+}
+
+/**
+ * The page's <body> markup without scripts and styles, for fragments such as
+ * a price or a status badge that are too short for Readability.
+ */
+export function bodyHtml(html) {
+  const doc = new JSDOM(html).window.document;
+  doc.querySelectorAll('script, style, noscript, template').forEach(el => el.remove());
+  return doc.body ? doc.body.innerHTML : '';
+}
+
+function resolveUrl(value, baseUrl) {
+  try {
+    return new URL(value, baseUrl).href;
+  } catch {
+    return value;
+  }
+}
+
+/**
+ * Rewrites links and images (including lazy-load data-src and srcset
+ * candidates) to absolute URLs so the content works outside the page.
+ */
+export function absolutizeUrls(html, baseUrl) {
+  const doc = new JSDOM(`<body>${html}</body>`).window.document;
+
+  doc.querySelectorAll('a[href]').forEach(el => el.setAttribute('href', resolveUrl(el.getAttribute('href'), baseUrl)));
+  doc.querySelectorAll('img').forEach(el => {
+    const src = el.getAttribute('src');
+    const lazySrc = el.getAttribute('data-src');
+    if (lazySrc && (!src || src.startsWith('data:'))) {
+      el.setAttribute('src', lazySrc);
+    }
+    if (el.getAttribute('src')) {
+      el.setAttribute('src', resolveUrl(el.getAttribute('src'), baseUrl));
+    }
+  });
+  doc.querySelectorAll('img[srcset], source[srcset]').forEach(el => {
+    const candidates = el.getAttribute('srcset').split(',').map(candidate => {
+      const [url, ...descriptors] = candidate.trim().split(/\s+/);
+      return [resolveUrl(url, baseUrl), ...descriptors].join(' ');
+    });
+    el.setAttribute('srcset', candidates.join(', '));
+  });
+
+  return doc.body.innerHTML;
+}
+
+/**
+ * Numbers the distinct outbound http(s) links in order of appearance
+ * (anchors into the page itself are skipped) and tags each <a> with its
+ * number in data-ref, which the Markdown and text renderers turn into
+ * reference markers.
+ */
+export function numberLinks(html, pageUrl) {
+  const doc = new JSDOM(`<body>${html}</body>`).window.document;
+  const pageWithoutHash = pageUrl.split('#')[0];
+  const references = [];
+
+  doc.querySelectorAll('a[href]').forEach(el => {
+    const href = resolveUrl(el.getAttribute('href'), pageUrl);
+    if (!/^https?:/.test(href) || href.split('#')[0] === pageWithoutHash) {
+      return;
+    }
+    let index = references.indexOf(href);
+    if (index === -1) {
+      index = references.push(href) - 1;
+    }
+    el.setAttribute('data-ref', String(index + 1));
+  });
+
+  return { html: doc.body.innerHTML, references };
+}
+
+function formatReferences(references, format) {
+  if (format === 'html') {
+    const items = references.map(url => `<li><a href="${url.replace(/"/g, '&quot;')}">${url.replace(/</g, '&lt;')}</a></li>`);
+    return `<h2>References</h2>\n<ol>\n${items.join('\n')}\n</ol>`;
+  }
+  if (format === 'text') {
+    return `References:\n${references.map((url, i) => `[${i + 1}] ${url}`).join('\n')}`;
+  }
+  return references.map((url, i) => `[${i + 1}]: ${url}`).join('\n');
+}
+
+export function toMarkdown(html) {
+  const turndownService = new TurndownService({
+    headingStyle: 'atx',
+    codeBlockStyle: 'fenced',
+    bulletListMarker: '-'
+  });
+  turndownService.use(gfm);
+  // Links numbered by numberLinks() become reference-style: [text][n]
+  turndownService.addRule('numberedLink', {
+    filter: node => node.nodeName === 'A' && node.hasAttribute('data-ref'),
+    replacement: (content, node) => `[${content}][${node.getAttribute('data-ref')}]`
+  });
+
+  // Only squeeze blank lines and trailing spaces; newlines carry Markdown structure
+  return turndownService.turndown(html)
+    .replace(/[ \t]+$/gm, '')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+export function toText(html) {
+  const doc = new JSDOM(`<body>${html}</body>`).window.document;
+
+  // Preformatted blocks keep their whitespace: swap them for placeholders while collapsing
+  const preformatted = [];
+  doc.querySelectorAll('pre').forEach(el => {
+    preformatted.push(el.textContent.replace(/\n+$/, ''));
+    el.replaceWith(`\n\n\u0000${preformatted.length - 1}\u0000\n\n`);
+  });
+  doc.querySelectorAll('br').forEach(el => el.replaceWith('\n'));
+  doc.querySelectorAll('a[data-ref]').forEach(el => el.after(` [${el.getAttribute('data-ref')}]`));
+  doc.querySelectorAll('li').forEach(el => el.before('\n- '));
+  doc.querySelectorAll('tr').forEach(el => el.after('\n'));
+  doc.querySelectorAll('td, th').forEach(el => el.after('\t'));
+  doc.querySelectorAll(BLOCK_ELEMENTS).forEach(el => {
+    el.before('\n\n');
+    el.after('\n\n');
+  });
+
+  return doc.body.textContent
+    .split('\n')
+    .map(line => line.replace(/\s+/g, ' ').trim())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .replace(/\u0000(\d+)\u0000/g, (_, index) => preformatted[index])
+    .trim();
+}
+
+/**
+ * Renders the article HTML as markdown, text or html. With `linkRefs`, a
+ * numbered list of the outbound links is appended.
+ */
+export function renderContent(article, format, { linkRefs = false } = {}) {
+  const { html, references } = linkRefs ? numberLinks(article.html, article.url) : { html: article.html, references: [] };
+
+  let content;
+  if (format === 'html') {
+    content = html.trim();
+  } else if (format === 'text') {
+    content = toText(html);
+  } else {
+    content = toMarkdown(html);
+  }
+
+  return references.length > 0 ? `${content}\n\n${formatReferences(references, format)}` : content;
+}
+
+function yamlValue(value) {
+  return typeof value === 'number' ? String(value) : JSON.stringify(value);
+}
+
+// JSON strings are valid YAML double-quoted scalars, so no YAML library is needed
+export function toFrontMatter(metadata) {
+  const lines = Object.entries(metadata)
+    .filter(([, value]) => value !== null && value !== undefined && value !== '')
+    .map(([key, value]) => `${key}: ${yamlValue(value)}`);
+  return `---\n${lines.join('\n')}\n---`;
+}
+
+export function articleMetadata(article) {
+  return {
+    title: article.title,
+    url: article.url,
+    byline: article.byline,
+    siteName: article.siteName,
+    excerpt: article.excerpt,
+    lang: article.lang,
+    publishedTime: article.publishedTime,
+    length: article.length
+  };
+}
+
+/**
+ * Renders an article as a standalone document: Markdown or text with either
+ * YAML front-matter or the classic "URL:/Title:" header, or a minimal HTML page.
+ * Pass `content` to wrap already rendered content (e.g. a single section).
+ */
+export function formatDocument(article, format, { frontMatter = false, linkRefs = false, content = renderContent(article, format, { linkRefs }) } = {}) {
+
+  if (format === 'html') {
+    const escape = value => String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/"/g, '&quot;');
+    return `<!DOCTYPE html>
+<html${article.lang ? ` lang="${escape(article.lang)}"` : ''}>
+<head>
+<meta charset="utf-8">
+<title>${escape(article.title)}</title>
+<link rel="canonical" href="${escape(article.url)}">
+</head>
+<body>
+${content}
+</body>
+</html>`;
+  }
+
+  if (frontMatter) {
+    return `${toFrontMatter(articleMetadata(article))}\n\n${content}`;
+  }
+  return `URL: ${article.url}\nTitle: ${article.title}\n\n${content}`;
+}
@@ -0,0 +1,185 @@
+// Cookie conversions shared by browser-cookies.js and friends
+
+const SAME_SITE_VALUES = ['Strict', 'Lax', 'None'];
+
+export function toCookieRecord(cookie) {
+  return {
+    name: cookie.name,
+    value: cookie.value,
+    domain: cookie.domain,
+    path: cookie.path,
+    expires: cookie.expires,
+    httpOnly: cookie.httpOnly,
+    secure: cookie.secure,
+    sameSite: cookie.sameSite || null
+  };
+}
+
+/**
+ * Domain filter semantics follow cookie matching: "example.com" matches
+ * "example.com", ".example.com" and any subdomain.
+ */
+export function filterCookies(cookies, { domain, name } = {}) {
+  const wanted = domain ? domain.replace(/^\./, '').toLowerCase() : null;
+
+  return cookies.filter(cookie => {
+    if (name && cookie.name !== name) {
+      return false;
+    }
+    if (wanted) {
+      const cookieDomain = cookie.domain.replace(/^\./, '').toLowerCase();
+      if (cookieDomain !== wanted && !cookieDomain.endsWith('.' + wanted)) {
+        return false;
+      }
+    }
+    return true;
+  });
+}
+
+/**
+ * The cookies of the page's URL, or of the whole browser when `source` is
+ * the browser, as records filtered like filterCookies.
+ */
+export async function listCookies(source, filters) {
+  return filterCookies(await source.cookies(), filters).map(toCookieRecord);
+}
+
+export function formatCookies(cookies) {
+  if (cookies.length === 0) {
+    return 'No cookies found';
+  }
+
+  return cookies.map((cookie, i) => {
+    return `
+[${i}] ${cookie.name}
+Value: ${cookie.value}
+Domain: ${cookie.domain}
+Path: ${cookie.path}
+HttpOnly: ${cookie.httpOnly}
+Secure: ${cookie.secure}
+`.trim();
+  }).join('\n\n' + '-'.repeat(60) + '\n\n');
+}
+
+export function normalizeSameSite(value) {
+  if (!value) {
+    return undefined;
+  }
+  const match = SAME_SITE_VALUES.find(v => v.toLowerCase() === String(value).toLowerCase());
+  if (!match) {
+    throw new Error(`Invalid sameSite value "${value}" (expected ${SAME_SITE_VALUES.join(', ')})`);
+  }
+  return match;
+}
+
+/**
+ * Accepts Unix seconds or anything Date.parse understands. Returns
+ * undefined for session cookies.
+ */
+export function parseExpires(value) {
+  if (value === undefined || value === null || value === '' || Number(value) === -1) {
+    return undefined;
+  }
+  if (/^\d+(\.\d+)?$/.test(String(value))) {
+    return Number(value);
+  }
+  const time = Date.parse(value);
+  if (Number.isNaN(time)) {
+    throw new Error(`Invalid expiry "${value}" (use Unix seconds or an ISO date)`);
+  }
+  return Math.floor(time / 1000);
+}
+
+// Netscape cookies.txt, as read by curl -b and wget --load-cookies
+export function toNetscape(cookies) {
+  const lines = [
+    '# Netscape HTTP Cookie File',
+    '# Generated by browser-automation-lite',
+    ''
+  ];
+
+  for (const cookie of cookies) {
+    const domain = (cookie.httpOnly ? '#HttpOnly_' : '') + cookie.domain;
+    const includeSubdomains = cookie.domain.startsWith('.') ? 'TRUE' : 'FALSE';
+    const secure = cookie.secure ? 'TRUE' : 'FALSE';
+    const expires = cookie.expires > 0 ? Math.floor(cookie.expires) : 0;
+    lines.push([domain, includeSubdomains, cookie.path, secure, expires, cookie.name, cookie.value].join('\t'));
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+export function parseNetscape(text) {
+  const cookies = [];
+
+  for (const rawLine of text.split(/\r?\n/)) {
+    let line = rawLine;
+    let httpOnly = false;
+
+    if (line.startsWith('#HttpOnly_')) {
+      line = line.slice('#HttpOnly_'.length);
+      httpOnly = true;
+    } else if (!line.trim() || line.startsWith('#')) {
+      continue;
+    }
+
+    const fields = line.split('\t');
+    if (fields.length < 7) {
+      throw new Error(`Malformed cookies.txt line: ${rawLine}`);
+    }
+
+    const [domain, , path, secure, expires, name, ...value] = fields;
+    cookies.push({
+      name,
+      value: value.join('\t'),
+      domain,
+      path,
+      expires: Number(expires) > 0 ? Number(expires) : -1,
+      httpOnly,
+      secure: secure.toUpperCase() === 'TRUE',
+      sameSite: null
+    });
+  }
+
+  return cookies;
+}
+
+/**
+ * Parses either a JSON export (array of cookie records, or an object with
+ * a "cookies" array) or a Netscape cookies.txt file.
+ */
+export function parseCookieFile(text) {
+  const trimmed = text.trim();
+  if (trimmed.startsWith('[') || trimmed.startsWith('{')) {
+    const data = JSON.parse(trimmed);
+    const cookies = Array.isArray(data) ? data : data.cookies;
+    if (!Array.isArray(cookies)) {
+      throw new Error('JSON cookie file must be an array or contain a "cookies" array');
+    }
+    return cookies;
+  }
+  return parseNetscape(text);
+}
+
+// Converts a cookie record into the parameters Storage.setCookies expects
+export function toCookieParam(cookie) {
+  const param = {
+    name: cookie.name,
+    value: String(cookie.value ?? ''),
+    domain: cookie.domain,
+    path: cookie.path || '/',
+    httpOnly: Boolean(cookie.httpOnly),
+    secure: Boolean(cookie.secure)
+  };
+
+  const expires = parseExpires(cookie.expires);
+  if (expires !== undefined) {
+    param.expires = expires;
+  }
+  const sameSite = normalizeSameSite(cookie.sameSite);
+  if (sameSite) {
+    param.sameSite = sameSite;
+  }
+
+  return param;
+}
@@ -0,0 +1,140 @@
+// Line diffs between two snapshots, printed in unified diff format
+
+export const DEFAULT_CONTEXT_LINES = 3;
+
+// Past this many edits the middle is reported as replaced wholesale; Myers'
+// trace grows with the square of the edit count
+const MAX_EDITS = 1000;
+
+// Myers' O((N+M)D) shortest edit script between the line arrays a and b
+function myers(a, b) {
+  const n = a.length;
+  const m = b.length;
+  const max = Math.min(n + m, MAX_EDITS);
+  const offset = max + 1;
+  const v = new Int32Array(2 * max + 3);
+  const trace = [];
+
+  let found = false;
+  for (let d = 0; d <= max && !found; d++) {
+    trace.push(v.slice(offset - d - 1, offset + d + 2));
+    for (let k = -d; k <= d; k += 2) {
+      let x = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]) ? v[offset + k + 1] : v[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+      if (x >= n && y >= m) {
+        found = true;
+        break;
+      }
+    }
+  }
+
+  if (!found) {
+    return [...a.map(line => ({ type: '-', line })), ...b.map(line => ({ type: '+', line }))];
+  }
+
+  const ops = [];
+  let x = n;
+  let y = m;
+  for (let d = trace.length - 1; d >= 0; d--) {
+    const snapshot = trace[d];
+    const at = k => snapshot[k + d + 1];
+    const k = x - y;
+    const prevK = k === -d || (k !== d && at(k - 1) < at(k + 1)) ? k + 1 : k - 1;
+    const prevX = d === 0 ? 0 : at(prevK);
+    const prevY = d === 0 ? 0 : prevX - prevK;
+
+    while (x > prevX && y > prevY) {
+      ops.push({ type: ' ', line: a[--x] });
+      y--;
+    }
+    if (d > 0) {
+      ops.push(x === prevX ? { type: '+', line: b[--y] } : { type: '-', line: a[--x] });
+    }
+  }
+  return ops.reverse();
+}
+
+/**
+ * Returns the line-by-line edit script turning `oldText` into `newText` as
+ * [{type: ' ' | '-' | '+', line}].
+ */
+export function diffLines(oldText, newText) {
+  const a = oldText.split('\n');
+  const b = newText.split('\n');
+
+  // Most changes are local, so only the differing middle goes through Myers
+  let prefix = 0;
+  while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) {
+    prefix++;
+  }
+  let suffix = 0;
+  while (suffix < a.length - prefix && suffix < b.length - prefix && a[a.length - 1 - suffix] === b[b.length - 1 - suffix]) {
+    suffix++;
+  }
+
+  const same = line => ({ type: ' ', line });
+  return [
+    ...a.slice(0, prefix).map(same),
+    ...myers(a.slice(prefix, a.length - suffix), b.slice(prefix, b.length - suffix)),
+    ...a.slice(a.length - suffix).map(same)
+  ];
+}
+
+function hunkRange(start, count) {
+  // An empty range points at the line before it, as diff(1) does
+  return `${count === 0 ? start - 1 : start},${count}`;
+}
+
+/**
+ * Formats the changes between two texts as a unified diff with `context`
+ * unchanged lines around each change. Returns '' when they are equal.
+ */
+export function unifiedDiff(oldText, newText, { oldLabel = 'before', newLabel = 'after', context = DEFAULT_CONTEXT_LINES } = {}) {
+  const ops = diffLines(oldText, newText);
+  const changed = ops.map((op, i) => (op.type === ' ' ? -1 : i)).filter(i => i !== -1);
+  if (changed.length === 0) {
+    return '';
+  }
+
+  // Changes at most 2 * context unchanged lines apart share a hunk
+  const groups = [];
+  for (const i of changed) {
+    const last = groups[groups.length - 1];
+    if (last && i - last.end - 1 <= 2 * context) {
+      last.end = i;
+    } else {
+      groups.push({ start: i, end: i });
+    }
+  }
+
+  // Line numbers (1-based) of each op in the old and new text
+  const positions = [];
+  let oldLine = 1;
+  let newLine = 1;
+  for (const op of ops) {
+    positions.push({ oldLine, newLine });
+    if (op.type !== '+') {
+      oldLine++;
+    }
+    if (op.type !== '-') {
+      newLine++;
+    }
+  }
+
+  const lines = [`--- ${oldLabel}`, `+++ ${newLabel}`];
+  for (const group of groups) {
+    const from = Math.max(0, group.start - context);
+    const to = Math.min(ops.length - 1, group.end + context);
+    const hunk = ops.slice(from, to + 1);
+    const oldCount = hunk.filter(op => op.type !== '+').length;
+    const newCount = hunk.filter(op => op.type !== '-').length;
+    lines.push(`@@ -${hunkRange(positions[from].oldLine, oldCount)} +${hunkRange(positions[from].newLine, newCount)} @@`);
+    lines.push(...hunk.map(op => `${op.type}${op.line}`));
+  }
+  return lines.join('\n');
+}
@@ -0,0 +1,69 @@
+import { TimeoutError } from 'puppeteer-core';
+import { elementError } from './connection.js';
+
+export const DEFAULT_ELEMENT_TIMEOUT_MS = 5000;
+
+/**
+ * Waits for `selector` to match, then returns the single matching handle.
+ * Several matches are an error unless `nth` picks one (0-based), so a
+ * loose selector never silently acts on the wrong node.
+ */
+export async function resolveElement(page, selector, { nth, timeout = DEFAULT_ELEMENT_TIMEOUT_MS } = {}) {
+  try {
+    await page.waitForSelector(selector, { timeout });
+  } catch (error) {
+    if (error instanceof TimeoutError) {
+      throw elementError(`No element matches "${selector}" (waited ${timeout / 1000}s)`);
+    }
+    throw error;
+  }
+
+  const handles = await page.$$(selector);
+
+  if (nth === undefined && handles.length > 1) {
+    throw elementError(`"${selector}" matches ${handles.length} elements; make it more specific or pass --nth <index>`);
+  }
+
+  const index = nth === undefined ? 0 : nth;
+  if (!handles[index]) {
+    throw elementError(`"${selector}" matches ${handles.length} element(s); --nth ${index} is out of range`);
+  }
+
+  return { handle: handles[index], index, count: handles.length };
+}
+
+/**
+ * Waits until the element is rendered (non-zero box, not hidden) and, when
+ * `enabled` is set, not disabled.
+ */
+export async function waitForActionable(page, handle, { enabled = true, timeout = DEFAULT_ELEMENT_TIMEOUT_MS } = {}) {
+  try {
+    await page.waitForFunction((el, requireEnabled) => {
+      if (!el.isConnected) {
+        return false;
+      }
+      const rect = el.getBoundingClientRect();
+      const style = window.getComputedStyle(el);
+      const visible = rect.width > 0 && rect.height > 0 && style.visibility !== 'hidden' && style.display !== 'none';
+      const disabled = requireEnabled && (el.disabled || el.closest('fieldset:disabled') || el.getAttribute('aria-disabled') === 'true');
+      return visible && !disabled;
+    }, { timeout, polling: 100 }, handle, enabled);
+  } catch (error) {
+    if (error instanceof TimeoutError) {
+      throw elementError(`Element is not ${enabled ? 'visible and enabled' : 'visible'} (waited ${timeout / 1000}s)`);
+    }
+    throw error;
+  }
+}
+
+/**
+ * resolveElement then waitForActionable under one deadline, so together
+ * they wait at most `timeout` (0 waits forever, as in Puppeteer).
+ */
+export async function resolveActionableElement(page, selector, { nth, enabled = true, timeout = DEFAULT_ELEMENT_TIMEOUT_MS } = {}) {
+  const deadline = Date.now() + timeout;
+  const target = await resolveElement(page, selector, { nth, timeout });
+  const remaining = timeout === 0 ? 0 : Math.max(1, deadline - Date.now());
+  await waitForActionable(page, target.handle, { enabled, timeout: remaining });
+  return target;
+}
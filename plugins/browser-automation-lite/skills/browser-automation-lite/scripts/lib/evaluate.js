@@ -0,0 +1,250 @@
+// JavaScript evaluation over the DevTools protocol, the way the DevTools
+// console does it: top-level await, optional isolated world, and previews
+// for values that have no JSON form.
+
+import { BrowserError, EXIT_CODES } from './connection.js';
+
+const AsyncFunction = (async () => {}).constructor;
+const OBJECT_GROUP = 'browser-eval';
+
+// Runs in the page with the result as `this`: returns it by value when it is
+// plain JSON (no undefined, functions, class instances, cycles or getters)
+const PLAIN_VALUE = `function () {
+  const path = new Set();
+  const isPlain = value => {
+    if (value === null || typeof value === 'string' || typeof value === 'boolean') {
+      return true;
+    }
+    if (typeof value === 'number') {
+      return Number.isFinite(value) && !Object.is(value, -0);
+    }
+    if (typeof value !== 'object' || path.has(value)) {
+      return false;
+    }
+    const proto = Object.getPrototypeOf(value);
+    if (Array.isArray(value) ? proto !== Array.prototype : proto !== Object.prototype && proto !== null) {
+      return false;
+    }
+    if (Object.getOwnPropertySymbols(value).length > 0) {
+      return false;
+    }
+    path.add(value);
+    const keys = Array.isArray(value) ? Array.from(value.keys(), String) : Object.keys(value);
+    const plain = keys.every(key => {
+      const descriptor = Object.getOwnPropertyDescriptor(value, key);
+      return descriptor !== undefined && 'value' in descriptor && isPlain(descriptor.value);
+    });
+    path.delete(value);
+    return plain;
+  };
+  return isPlain(this) ? { value: this } : null;
+}`;
+
+export function evaluationError(message) {
+  return new BrowserError('evaluation', message, EXIT_CODES.ERROR);
+}
+
+function isExpression(code) {
+  try {
+    new AsyncFunction(`return (${code}\n);`);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Wraps `code` for Runtime.evaluate: a block so the script's declarations
+ * stay local, `args` ({name: JSON value}) declared as constants inside it,
+ * and a sourceURL so stack traces name the script. Code that is an object
+ * literal (`{a: 1}`) is evaluated as one, as in the DevTools console. The
+ * code keeps its line numbers. With `scoped: false` there is no block, so
+ * declarations persist in the page for later evaluations (REPL style).
+ */
+export function prepareScript(code, { args = {}, sourceURL = 'eval.js', scoped = true } = {}) {
+  const body = /^\s*\{/.test(code) && /\}\s*$/.test(code) && isExpression(code) ? `(${code}\n)` : code;
+  if (!scoped) {
+    return `${body}\n//# sourceURL=${sourceURL}`;
+  }
+  const declarations = Object.entries(args).map(([name, value]) => `${name} = ${JSON.stringify(value)}`);
+  const prologue = declarations.length > 0 ? `const ${declarations.join(', ')}; ` : '';
+  return `{${prologue}${body}\n}\n//# sourceURL=${sourceURL}`;
+}
+
+function quote(text) {
+  return `'${text.replace(/\\/g, '\\\\').replace(/'/g, "\\'").replace(/\n/g, '\\n')}'`;
+}
+
+// `function foo(a, b) { ... }` -> `ƒ foo(a, b)`
+function functionPreview(description = '') {
+  const match = description.match(/^(async\s+)?function\s*(\*?)\s*([\w$]*)\s*(\([^)]*\))/);
+  if (match) {
+    return `${match[1] || ''}ƒ${match[2]} ${match[3]}${match[4]}`;
+  }
+  const firstLine = description.split('\n')[0];
+  return firstLine.length > 80 ? `${firstLine.slice(0, 80)}…` : firstLine;
+}
+
+// A property inside an object preview: one level deep, nested objects abbreviated
+function propertyPreview(property) {
+  if (property.valuePreview) {
+    return objectPreview(property.valuePreview);
+  }
+  switch (property.type) {
+    case 'string':
+      return quote(property.value);
+    case 'function':
+      return 'ƒ';
+    case 'accessor':
+      return '(...)';
+    case 'object':
+      if (property.subtype === 'null') {
+        return 'null';
+      }
+      return property.value === 'Object' ? '{…}' : property.value;
+    default:
+      return property.value;
+  }
+}
+
+// Map and Set entries come as nested previews
+function entryPreview(preview) {
+  if (preview.type === 'string') {
+    return quote(preview.description);
+  }
+  if (preview.type === 'object' && preview.subtype !== 'null' && !preview.properties?.length && !preview.entries?.length) {
+    return preview.description === 'Object' ? '{…}' : preview.description;
+  }
+  return objectPreview(preview);
+}
+
+function objectPreview(preview) {
+  if (preview.type !== 'object') {
+    return preview.type === 'string' ? quote(preview.description) : preview.description;
+  }
+  if (preview.subtype === 'null') {
+    return 'null';
+  }
+  const more = preview.overflow ? ['…'] : [];
+
+  if (preview.subtype === 'map' || preview.subtype === 'set' || preview.subtype === 'weakmap' || preview.subtype === 'weakset') {
+    const entries = (preview.entries || []).map(entry =>
+      entry.key ? `${entryPreview(entry.key)} => ${entryPreview(entry.value)}` : entryPreview(entry.value));
+    return `${preview.description} {${[...entries, ...more].join(', ')}}`;
+  }
+
+  const properties = preview.properties || [];
+  const internal = Object.fromEntries(properties.filter(property => property.name.startsWith('[[')).map(property => [property.name, property]));
+  if (preview.subtype === 'promise') {
+    const state = internal['[[PromiseState]]'];
+    const result = internal['[[PromiseResult]]'];
+    if (!state || state.value === 'pending') {
+      return 'Promise {<pending>}';
+    }
+    return `Promise {<${state.value}>: ${result ? propertyPreview(result) : 'undefined'}}`;
+  }
+  if (['node', 'date', 'regexp', 'error', 'proxy'].includes(preview.subtype)) {
+    return preview.description;
+  }
+
+  const own = properties.filter(property => !property.name.startsWith('[['));
+  if (preview.subtype === 'array' || preview.subtype === 'typedarray') {
+    const items = own.map(property => (/^\d+$/.test(property.name) ? propertyPreview(property) : `${property.name}: ${propertyPreview(property)}`));
+    return `${preview.description} [${[...items, ...more].join(', ')}]`;
+  }
+  const items = own.map(property => `${/^[A-Za-z_$][\w$]*$/.test(property.name) ? property.name : quote(property.name)}: ${propertyPreview(property)}`);
+  const prefix = preview.description && preview.description !== 'Object' ? `${preview.description} ` : '';
+  return `${prefix}{${[...items, ...more].join(', ')}}`;
+}
+
+/**
+ * Formats a Runtime.RemoteObject the way the DevTools console previews it:
+ * `Map(2) {'a' => 1, 'b' => 2}`, `Promise {<fulfilled>: 42}`,
+ * `div#main.content`, `ƒ save(data)`. Objects show one level of properties.
+ */
+export function formatRemoteObject(remote) {
+  switch (remote.type) {
+    case 'undefined':
+      return 'undefined';
+    case 'string':
+      return quote(remote.value);
+    case 'number':
+    case 'boolean':
+    case 'bigint':
+      return remote.unserializableValue || remote.description || String(remote.value);
+    case 'symbol':
+      return remote.description;
+    case 'function':
+      return functionPreview(remote.description);
+    default:
+      if (remote.subtype === 'null') {
+        return 'null';
+      }
+      if (remote.subtype === 'error' || remote.subtype === 'node' || !remote.preview) {
+        return remote.description;
+      }
+      return objectPreview(remote.preview);
+  }
+}
+
+function describeException({ exception, text, url, lineNumber, columnNumber }) {
+  if (!exception) {
+    return text;
+  }
+  if (exception.subtype === 'error') {
+    // Syntax errors have no stack frame, so point at the offending line
+    const stack = exception.description || '';
+    return /\n\s+at /.test(stack) ? `Uncaught ${stack}` : `Uncaught ${stack}\n    at ${url || '<anonymous>'}:${lineNumber + 1}:${columnNumber + 1}`;
+  }
+  return `Uncaught ${formatRemoteObject(exception)}`;
+}
+
+/**
+ * Creates a fresh isolated world in the page's main frame and returns its
+ * execution context id: the page's DOM, but none of its globals.
+ */
+export async function createIsolatedWorld(session, worldName = OBJECT_GROUP) {
+  const { frameTree } = await session.send('Page.getFrameTree');
+  const { executionContextId } = await session.send('Page.createIsolatedWorld', { frameId: frameTree.frame.id, worldName });
+  return executionContextId;
+}
+
+/**
+ * Evaluates a script prepared with prepareScript through the CDP `session`
+ * and returns {json, value, type, preview}: `value` is the result itself
+ * when `json` is true (plain JSON data), `preview` its DevTools-style text.
+ * Errors thrown in the page are rethrown as evaluation errors whose message
+ * carries the stack trace.
+ */
+export async function evaluateScript(session, expression, { contextId } = {}) {
+  try {
+    const { result, exceptionDetails } = await session.send('Runtime.evaluate', {
+      expression,
+      contextId,
+      replMode: true,
+      awaitPromise: true,
+      generatePreview: true,
+      objectGroup: OBJECT_GROUP
+    });
+    if (exceptionDetails) {
+      throw evaluationError(describeException(exceptionDetails));
+    }
+
+    const type = result.subtype || result.type;
+    const preview = formatRemoteObject(result);
+    if (!result.objectId) {
+      const json = result.type !== 'undefined' && result.type !== 'symbol' && !('unserializableValue' in result);
+      return { json, value: json ? result.value ?? null : null, type, preview };
+    }
+
+    const plain = await session.send('Runtime.callFunctionOn', {
+      functionDeclaration: PLAIN_VALUE,
+      objectId: result.objectId,
+      returnByValue: true
+    });
+    const wrapped = plain.exceptionDetails ? null : plain.result.value;
+    return { json: Boolean(wrapped), value: wrapped ? wrapped.value : null, type, preview };
+  } finally {
+    await session.send('Runtime.releaseObjectGroup', { objectGroup: OBJECT_GROUP }).catch(() => {});
+  }
+}
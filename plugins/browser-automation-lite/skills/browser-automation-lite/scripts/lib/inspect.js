@@ -0,0 +1,145 @@
+// Element details shared by the interactive picker and inspect mode of
+// browser-pick.js. describeElement runs inside the page (it is injected as
+// source), so it must not reference anything outside its own body.
+
+export const DEFAULT_STYLES = [
+  'display', 'visibility', 'opacity', 'position', 'z-index', 'width', 'height',
+  'margin', 'padding', 'border', 'overflow', 'color', 'background-color',
+  'font-family', 'font-size', 'font-weight', 'cursor', 'pointer-events'
+];
+
+/**
+ * Returns what an automation script needs to know about `element`: tag,
+ * attributes, role and accessible name, box, visibility and enabled state,
+ * the selectors from `generateSelectors` and, when `styles` lists CSS
+ * properties, their computed values. Role and name follow ARIA attributes,
+ * labels and the element's text, an approximation of the browser's
+ * accessibility tree.
+ */
+export function describeElement(element, generateSelectors, { styles = [] } = {}) {
+  const TEXT_LIMIT = 200;
+  const HTML_LIMIT = 500;
+  const INPUT_ROLES = {
+    button: 'button', submit: 'button', reset: 'button', image: 'button',
+    checkbox: 'checkbox', radio: 'radio', range: 'slider', number: 'spinbutton',
+    search: 'searchbox', hidden: null
+  };
+  const TAG_ROLES = {
+    article: 'article', aside: 'complementary', button: 'button', dialog: 'dialog',
+    details: 'group', fieldset: 'group', footer: 'contentinfo', form: 'form',
+    h1: 'heading', h2: 'heading', h3: 'heading', h4: 'heading', h5: 'heading', h6: 'heading',
+    header: 'banner', hr: 'separator', li: 'listitem', main: 'main', nav: 'navigation',
+    ol: 'list', option: 'option', progress: 'progressbar', summary: 'button',
+    table: 'table', td: 'cell', textarea: 'textbox', th: 'columnheader', tr: 'row', ul: 'list'
+  };
+  // Roles whose accessible name comes from their content
+  const NAME_FROM_CONTENT = [
+    'button', 'cell', 'checkbox', 'columnheader', 'heading', 'link', 'listitem',
+    'menuitem', 'option', 'radio', 'row', 'switch', 'tab', 'tooltip'
+  ];
+
+  function normalize(text) {
+    return (text || '').replace(/\s+/g, ' ').trim();
+  }
+
+  function implicitRole(el) {
+    const tag = el.localName;
+    if (tag === 'a' || tag === 'area') {
+      return el.hasAttribute('href') ? 'link' : null;
+    }
+    if (tag === 'input') {
+      const type = (el.getAttribute('type') || 'text').toLowerCase();
+      return type in INPUT_ROLES ? INPUT_ROLES[type] : (el.hasAttribute('list') ? 'combobox' : 'textbox');
+    }
+    if (tag === 'select') {
+      return el.multiple || el.size > 1 ? 'listbox' : 'combobox';
+    }
+    if (tag === 'img') {
+      return el.getAttribute('alt') === '' ? 'presentation' : 'img';
+    }
+    if ((tag === 'header' || tag === 'footer') && el.parentElement && el.parentElement.closest('article, aside, main, nav, section')) {
+      return null;
+    }
+    if (tag === 'section') {
+      return el.hasAttribute('aria-label') || el.hasAttribute('aria-labelledby') ? 'region' : null;
+    }
+    return TAG_ROLES[tag] || null;
+  }
+
+  function accessibleName(el, role) {
+    const doc = el.ownerDocument;
+    const labelledBy = el.getAttribute('aria-labelledby');
+    if (labelledBy) {
+      const text = labelledBy.split(/\s+/).map(id => doc.getElementById(id)).filter(Boolean)
+        .map(label => normalize(label.textContent)).join(' ');
+      if (text) {
+        return text;
+      }
+    }
+    const label = normalize(el.getAttribute('aria-label'));
+    if (label) {
+      return label;
+    }
+    if (el.labels && el.labels.length > 0) {
+      return Array.from(el.labels).map(labelEl => normalize(labelEl.textContent)).join(' ');
+    }
+    if (el.localName === 'input' && ['button', 'submit', 'reset'].includes(el.type)) {
+      return el.value || { submit: 'Submit', reset: 'Reset' }[el.type] || '';
+    }
+    if (['img', 'area'].includes(el.localName) || (el.localName === 'input' && el.type === 'image')) {
+      const alt = normalize(el.getAttribute('alt'));
+      if (alt) {
+        return alt;
+      }
+    }
+    if (NAME_FROM_CONTENT.includes(role)) {
+      const text = normalize(el.textContent);
+      if (text) {
+        return text.substring(0, TEXT_LIMIT);
+      }
+    }
+    return normalize(el.getAttribute('title') || el.getAttribute('placeholder'));
+  }
+
+  function isVisible(el, rect, style) {
+    if (typeof el.checkVisibility === 'function') {
+      return el.checkVisibility({ opacityProperty: true, visibilityProperty: true }) && rect.width > 0 && rect.height > 0;
+    }
+    return rect.width > 0 && rect.height > 0 && style.display !== 'none' && style.visibility !== 'hidden' && style.opacity !== '0';
+  }
+
+  function isEnabled(el) {
+    return !(el.disabled || el.closest('fieldset:disabled') || el.getAttribute('aria-disabled') === 'true');
+  }
+
+  const view = element.ownerDocument.defaultView;
+  const rect = element.getBoundingClientRect();
+  const style = view.getComputedStyle(element);
+  const role = element.getAttribute('role') || implicitRole(element);
+
+  const info = {
+    tag: element.tagName.toLowerCase(),
+    id: element.id || '',
+    classes: Array.from(element.classList).join(' '),
+    text: (element.textContent || '').trim().substring(0, TEXT_LIMIT),
+    html: element.outerHTML.substring(0, HTML_LIMIT),
+    attributes: Object.fromEntries(Array.from(element.attributes, attribute => [attribute.name, attribute.value])),
+    role,
+    name: accessibleName(element, role),
+    ...generateSelectors(element),
+    position: {
+      top: rect.top,
+      left: rect.left,
+      width: rect.width,
+      height: rect.height
+    },
+    visible: isVisible(element, rect, style),
+    inViewport: rect.bottom > 0 && rect.right > 0 && rect.top < view.innerHeight && rect.left < view.innerWidth,
+    enabled: isEnabled(element)
+  };
+
+  if (styles.length > 0) {
+    info.styles = Object.fromEntries(styles.map(property => [property, style.getPropertyValue(property)]));
+  }
+  return info;
+}
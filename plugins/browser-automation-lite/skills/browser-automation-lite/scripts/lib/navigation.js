@@ -0,0 +1,85 @@
+// Tab navigation shared by browser-nav.js and browser-repl.js
+
+import { getTargetId } from './connection.js';
+
+export const DEFAULT_NAVIGATION_TIMEOUT_MS = 30000;
+export const WAIT_UNTIL = ['domcontentloaded', 'load', 'networkidle0', 'networkidle2'];
+export const HISTORY_ACTIONS = ['back', 'forward', 'reload'];
+
+// goBack()/goForward() resolve to null both for "no such entry" and for
+// navigations without a response, so check the history first
+async function assertHistoryEntry(page, action) {
+  const client = await page.createCDPSession();
+  try {
+    const { currentIndex, entries } = await client.send('Page.getNavigationHistory');
+    const target = currentIndex + (action === 'back' ? -1 : 1);
+    if (target < 0 || target >= entries.length) {
+      throw new Error(`No ${action === 'back' ? 'previous' : 'next'} page in this tab's history`);
+    }
+  } finally {
+    await client.detach();
+  }
+}
+
+function describeResponse(response) {
+  if (!response) {
+    return { status: null, statusText: null, contentType: null, redirects: [] };
+  }
+
+  const redirects = response.request().redirectChain().map(request => ({
+    url: request.url(),
+    status: request.response() ? request.response().status() : null
+  }));
+
+  return {
+    status: response.status(),
+    statusText: response.statusText() || null,
+    contentType: response.headers()['content-type'] || null,
+    redirects
+  };
+}
+
+/**
+ * Loads `target` (a URL, or one of back, forward and reload) in the tab and
+ * returns {action, url, title, tab, status, statusText, contentType, redirects}.
+ * An HTTP error status is returned, not thrown.
+ */
+export async function navigatePage(page, target, { waitUntil = 'domcontentloaded', timeout = DEFAULT_NAVIGATION_TIMEOUT_MS, referer } = {}) {
+  const action = HISTORY_ACTIONS.includes(target) ? target : 'goto';
+  const options = { waitUntil, timeout, referer };
+
+  let response;
+  if (action === 'reload') {
+    response = await page.reload(options);
+  } else if (action === 'goto') {
+    response = await page.goto(target, options);
+  } else {
+    await assertHistoryEntry(page, action);
+    response = action === 'back' ? await page.goBack(options) : await page.goForward(options);
+  }
+
+  return {
+    action,
+    url: page.url(),
+    title: await page.title(),
+    tab: await getTargetId(page),
+    ...describeResponse(response)
+  };
+}
+
+export function formatNavigation(result) {
+  const lines = [
+    `✓ ${result.action === 'reload' ? 'Reloaded' : 'Navigated to'}: ${result.url}`,
+    `  Title: ${result.title}`
+  ];
+  if (result.status !== null) {
+    const statusText = result.statusText ? ` ${result.statusText}` : '';
+    const contentType = result.contentType ? ` (${result.contentType})` : '';
+    lines.push(`  Status: ${result.status}${statusText}${contentType}`);
+  }
+  if (result.redirects.length > 0) {
+    lines.push(`  Redirects: ${result.redirects.map(redirect => `${redirect.url} (${redirect.status})`).join(' → ')} → ${result.url}`);
+  }
+  lines.push(`  Tab: ${result.tab}`);
+  return lines.join('\n');
+}
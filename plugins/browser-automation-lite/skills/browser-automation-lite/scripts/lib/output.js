@@ -0,0 +1,38 @@
+// Output modes shared by every browser-* script:
+//   text   human-readable (default)
+//   json   one JSON document on stdout
+//   jsonl  one JSON object per line (for commands that return lists)
+
+export const OUTPUT_HELP = `Output:
+  --json          Print the result as a single JSON document
+  --jsonl         Print one JSON object per line (list results)
+  Errors are printed to stderr as {"error":{"kind","message","exitCode"}} in both modes.`;
+
+export function getOutputFormat(args) {
+  if (args.includes('--jsonl')) {
+    return 'jsonl';
+  }
+  if (args.includes('--json')) {
+    return 'json';
+  }
+  return 'text';
+}
+
+export function printResult(format, data, formatText) {
+  if (format === 'json') {
+    console.log(JSON.stringify(data));
+  } else if (format === 'jsonl') {
+    for (const item of Array.isArray(data) ? data : [data]) {
+      console.log(JSON.stringify(item));
+    }
+  } else {
+    console.log(formatText(data));
+  }
+}
+
+// Progress messages on stderr would corrupt machine-readable error streams
+export function logProgress(format, ...message) {
+  if (format === 'text') {
+    console.error(...message);
+  }
+}
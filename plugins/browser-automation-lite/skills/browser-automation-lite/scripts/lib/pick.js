@@ -0,0 +1,293 @@
+// Element picking and inspection shared by browser-pick.js and browser-repl.js
+
+import { elementError } from './connection.js';
+import { generateSelectors } from './selectors.js';
+import { describeElement } from './inspect.js';
+
+// Inspect-mode queries and the Puppeteer selector each one becomes
+export const QUERIES = {
+  '--selector': value => value,
+  '--text': value => `text/${value}`,
+  '--xpath': value => `xpath/${value}`
+};
+
+// Highlights are drawn on an overlay in the top document, so the page's own
+// elements (and the selectors generated for them) are never modified
+const PICKER_SCRIPT = `
+(function() {
+  const generateSelectors = ${generateSelectors};
+  const describeElement = ${describeElement};
+  const selectedElements = [];
+  const selectedBoxes = [];
+  const documents = [];
+  let hovered = null;
+
+  const layer = document.createElement('div');
+  layer.style.cssText = 'position: fixed; inset: 0; pointer-events: none; z-index: 2147483646;';
+
+  const banner = document.createElement('div');
+  banner.style.cssText = 'position: fixed; top: 0; left: 0; right: 0; background: #2D3748; color: white; ' +
+    'padding: 12px; font-family: monospace; font-size: 14px; z-index: 2147483647; text-align: center;';
+  banner.textContent = 'Element Picker: Click to select | Cmd/Ctrl+Click for multi-select | Enter to confirm | Escape to cancel';
+
+  document.documentElement.appendChild(layer);
+  document.documentElement.appendChild(banner);
+
+  function createBox(selected) {
+    const box = document.createElement('div');
+    box.style.cssText = 'position: fixed; display: none; outline: 2px solid ' + (selected ? '#4AFF9E' : '#4A9EFF') +
+      '; outline-offset: 2px; background: ' + (selected ? 'rgba(74, 255, 158, 0.1)' : 'transparent') + ';';
+    layer.appendChild(box);
+    return box;
+  }
+
+  const highlight = createBox(false);
+
+  function updateBanner() {
+    banner.textContent = 'Selected: ' + selectedElements.length + ' elements | Enter to confirm | Escape to cancel';
+  }
+
+  // Position in the top-level viewport, adding up the offsets of enclosing iframes
+  function viewportRect(element) {
+    const rect = element.getBoundingClientRect();
+    let left = rect.left;
+    let top = rect.top;
+    let frame = element.ownerDocument.defaultView.frameElement;
+    while (frame) {
+      const frameRect = frame.getBoundingClientRect();
+      left += frameRect.left + frame.clientLeft;
+      top += frameRect.top + frame.clientTop;
+      frame = frame.ownerDocument.defaultView.frameElement;
+    }
+    return { left, top, width: rect.width, height: rect.height };
+  }
+
+  function placeBox(box, element) {
+    const rect = viewportRect(element);
+    box.style.display = 'block';
+    box.style.left = rect.left + 'px';
+    box.style.top = rect.top + 'px';
+    box.style.width = rect.width + 'px';
+    box.style.height = rect.height + 'px';
+  }
+
+  function repositionBoxes() {
+    selectedElements.forEach((element, i) => placeBox(selectedBoxes[i], element));
+    if (hovered) {
+      placeBox(highlight, hovered);
+    }
+  }
+
+  // The real target, also inside shadow roots (events are retargeted to the host)
+  function eventTarget(e) {
+    const target = e.composedPath()[0];
+    return target && target.nodeType === Node.ELEMENT_NODE ? target : e.target;
+  }
+
+  function getElementInfo(element) {
+    return describeElement(element, generateSelectors);
+  }
+
+  // The top document and every same-origin frame document below it
+  function collectDocuments(doc) {
+    documents.push(doc);
+    for (const frame of doc.querySelectorAll('iframe, frame')) {
+      try {
+        if (frame.contentDocument) {
+          collectDocuments(frame.contentDocument);
+        }
+      } catch (error) {
+        // Cross-origin frames cannot be inspected
+      }
+    }
+  }
+
+  function handleMouseOver(e) {
+    const target = eventTarget(e);
+    if (banner.contains(target)) return;
+
+    hovered = target;
+    if (selectedElements.includes(target)) {
+      highlight.style.display = 'none';
+    } else {
+      placeBox(highlight, target);
+    }
+  }
+
+  function handleMouseOut(e) {
+    if (!e.relatedTarget) {
+      hovered = null;
+      highlight.style.display = 'none';
+    }
+  }
+
+  collectDocuments(document);
+
+  return new Promise((resolve) => {
+    const listeners = [
+      ['mouseover', handleMouseOver, false],
+      ['mouseout', handleMouseOut, false],
+      ['click', handleClick, true],
+      ['keydown', handleKeyDown, false],
+      ['scroll', repositionBoxes, true]
+    ];
+
+    function finish(result) {
+      for (const doc of documents) {
+        for (const [type, listener, capture] of listeners) {
+          doc.removeEventListener(type, listener, capture);
+        }
+      }
+      window.removeEventListener('resize', repositionBoxes);
+      layer.remove();
+      banner.remove();
+      resolve(result);
+    }
+
+    function handleClick(e) {
+      e.preventDefault();
+      e.stopPropagation();
+
+      const target = eventTarget(e);
+      if (banner.contains(target)) return;
+
+      if (e.metaKey || e.ctrlKey) {
+        // Multi-select
+        const index = selectedElements.indexOf(target);
+        if (index > -1) {
+          selectedElements.splice(index, 1);
+          selectedBoxes.splice(index, 1)[0].remove();
+        } else {
+          selectedElements.push(target);
+          selectedBoxes.push(createBox(true));
+          highlight.style.display = 'none';
+        }
+        repositionBoxes();
+        updateBanner();
+      } else {
+        // Single select - finish immediately
+        finish(getElementInfo(target));
+      }
+    }
+
+    function handleKeyDown(e) {
+      if (e.key === 'Enter') {
+        e.preventDefault();
+        finish(selectedElements.map(getElementInfo));
+      } else if (e.key === 'Escape') {
+        e.preventDefault();
+        finish(null);
+      }
+    }
+
+    for (const doc of documents) {
+      for (const [type, listener, capture] of listeners) {
+        doc.addEventListener(type, listener, capture);
+      }
+    }
+    window.addEventListener('resize', repositionBoxes);
+  });
+})();
+`;
+
+/**
+ * Lets the user click elements in the tab and resolves to the description
+ * of the picked element, an array of them (Cmd/Ctrl+Click, then Enter), or
+ * null when cancelled with Escape.
+ */
+export function pickElements(page) {
+  return page.evaluate(PICKER_SCRIPT);
+}
+
+function formatState(el) {
+  const box = el.position;
+  const state = [el.visible ? 'visible' : 'hidden', el.enabled ? 'enabled' : 'disabled'];
+  if (el.visible && !el.inViewport) {
+    state.push('outside the viewport');
+  }
+  return `${Math.round(box.width)}x${Math.round(box.height)} at (${Math.round(box.left)}, ${Math.round(box.top)}), ${state.join(', ')}`;
+}
+
+function formatElement(el) {
+  const attributes = Object.entries(el.attributes).map(([name, value]) => `${name}="${value}"`).join(' ');
+  const lines = [
+    `Tag: ${el.tag}`,
+    `ID: ${el.id || '(none)'}`,
+    `Classes: ${el.classes || '(none)'}`,
+    `Attributes: ${attributes || '(none)'}`,
+    `Role: ${el.role || '(none)'}`,
+    `Name: ${el.name || '(none)'}`,
+    `Box: ${formatState(el)}`,
+    `Selector: ${el.selector}` + (el.unique ? '' : '  (not unique: also matches other elements)'),
+    `XPath: ${el.xpath || '(none: inside shadow DOM)'}`,
+    `Text XPath: ${el.textXPath || '(none)'}`
+  ];
+  if (el.frames.length > 0) {
+    lines.push(`Frames: ${el.frames.join(' -> ')}`);
+  }
+  if (el.styles) {
+    lines.push('Styles:', ...Object.entries(el.styles).map(([name, value]) => `  ${name}: ${value}`));
+  }
+  lines.push(`Text: ${el.text || '(none)'}`, `HTML: ${el.html}`);
+  return lines.join('\n');
+}
+
+export function formatElementInfo(info) {
+  if (Array.isArray(info)) {
+    return info.map((el, i) => `[${i}]\n${formatElement(el)}`).join('\n\n' + '='.repeat(60) + '\n\n');
+  } else {
+    return formatElement(info);
+  }
+}
+
+// Handles can only run functions, so the injected sources are wrapped in one
+const describeInPage = new Function('element', 'styles',
+  `return (${describeElement})(element, ${generateSelectors}, { styles });`);
+const selectorInPage = new Function('element', `return (${generateSelectors})(element).selector;`);
+
+// Selectors of the <iframe> elements leading to `frame`, outermost first
+async function frameChain(frame) {
+  const chain = [];
+  for (let current = frame; current.parentFrame(); current = current.parentFrame()) {
+    const element = await current.frameElement();
+    chain.unshift(element ? await element.evaluate(selectorInPage) : current.url());
+  }
+  return chain;
+}
+
+/**
+ * Describes the elements matching `query` ({option, value}, option one of
+ * QUERIES) in every frame of the tab, at most `limit` of them. Returns
+ * {elements, total}; no match is an element error.
+ */
+export async function inspectElements(page, query, { limit, styles }) {
+  const selector = QUERIES[query.option](query.value);
+  const matches = [];
+  for (const frame of page.frames()) {
+    let handles;
+    try {
+      handles = await frame.$$(selector);
+    } catch (error) {
+      // An invalid query fails in the main frame; child frames may detach mid-search
+      if (frame === page.mainFrame()) {
+        throw error;
+      }
+      continue;
+    }
+    matches.push(...handles.map(handle => ({ frame, handle })));
+  }
+
+  if (matches.length === 0) {
+    throw elementError(`No element matches ${query.option} "${query.value}"`);
+  }
+
+  const elements = [];
+  for (const { frame, handle } of matches.slice(0, limit)) {
+    const info = await handle.evaluate(describeInPage, styles);
+    if (frame !== page.mainFrame()) {
+      info.frames = await frameChain(frame);
+    }
+    elements.push(info);
+  }
+  return { elements, total: matches.length };
+}
@@ -0,0 +1,153 @@
+// Screenshots, PDFs and baseline comparisons shared by browser-screenshot.js
+// and browser-repl.js
+
+import { existsSync, mkdirSync, readFileSync, rmSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import { resolveElement } from './elements.js';
+import { compareImages } from './visual-diff.js';
+
+export const IMAGE_FORMATS = ['png', 'jpeg', 'webp'];
+export const EXTENSIONS = { '.png': 'png', '.jpg': 'jpeg', '.jpeg': 'jpeg', '.webp': 'webp', '.pdf': 'pdf' };
+
+export function getTimestampFilename(prefix, extension) {
+  const now = new Date();
+  const timestamp = now.toISOString()
+    .replace(/:/g, '-')
+    .replace(/\./g, '-')
+    .replace('T', '-')
+    .split('Z')[0];
+  return `${prefix}-${timestamp}.${extension}`;
+}
+
+// Missing width/height/scale keep the current window's values
+async function applyViewport(page, viewport) {
+  const current = await page.evaluate(() => ({
+    width: window.innerWidth,
+    height: window.innerHeight,
+    deviceScaleFactor: window.devicePixelRatio
+  }));
+  await page.setViewport({
+    width: viewport.width ?? current.width,
+    height: viewport.height ?? current.height,
+    deviceScaleFactor: viewport.deviceScaleFactor ?? current.deviceScaleFactor
+  });
+}
+
+async function capture(page, options, path) {
+  if (options.pdf) {
+    return page.pdf({
+      path,
+      format: options.paper,
+      landscape: options.landscape,
+      margin: options.margin,
+      printBackground: true
+    });
+  }
+
+  const screenshotOptions = {
+    path,
+    type: options.format,
+    quality: options.quality,
+    omitBackground: options.omitBackground
+  };
+
+  if (options.selector) {
+    const { handle } = await resolveElement(page, options.selector, { nth: options.nth, timeout: options.timeout });
+    return handle.screenshot(screenshotOptions);
+  }
+  return page.screenshot({ ...screenshotOptions, fullPage: options.fullPage, clip: options.clip || undefined });
+}
+
+/**
+ * Captures the tab as an image or PDF as described by `options` (the shape
+ * browser-screenshot.js parses), with `options.viewport` applied for the
+ * capture only. Writes to `path` when given; always resolves to the bytes.
+ */
+export async function captureScreenshot(page, options, path) {
+  if (options.viewport) {
+    await applyViewport(page, options.viewport);
+  }
+  try {
+    return await capture(page, options, path);
+  } finally {
+    if (options.viewport) {
+      await page.setViewport(null);
+    }
+  }
+}
+
+/**
+ * Saves the image as the baseline when there is none (or --update is set),
+ * otherwise diffs it against the baseline. The actual and diff images are
+ * written only for a failed comparison and removed once it passes again.
+ */
+export function compareWithBaseline(image, comparison) {
+  const path = join(comparison.dir, `${comparison.name}.png`);
+  const actualPath = join(comparison.dir, `${comparison.name}.actual.png`);
+  const diffPath = join(comparison.dir, `${comparison.name}.diff.png`);
+  const result = {
+    baseline: comparison.name,
+    status: null,
+    path,
+    actual: null,
+    diff: null,
+    diffPixels: 0,
+    diffPercent: 0,
+    threshold: comparison.threshold,
+    sizeChanged: false
+  };
+
+  mkdirSync(comparison.dir, { recursive: true });
+  const exists = existsSync(path);
+
+  if (!exists || comparison.update) {
+    writeFileSync(path, image);
+    rmSync(actualPath, { force: true });
+    rmSync(diffPath, { force: true });
+    return { ...result, status: exists ? 'updated' : 'created' };
+  }
+
+  const diff = compareImages(readFileSync(path), image, comparison);
+  const diffPercent = Math.round(diff.diffRatio * 100 * 1000) / 1000;
+  const changed = diffPercent > comparison.threshold;
+
+  if (changed) {
+    writeFileSync(actualPath, image);
+    writeFileSync(diffPath, diff.diffImage);
+  } else {
+    rmSync(actualPath, { force: true });
+    rmSync(diffPath, { force: true });
+  }
+
+  return {
+    ...result,
+    status: changed ? 'changed' : 'match',
+    actual: changed ? actualPath : null,
+    diff: changed ? diffPath : null,
+    diffPixels: diff.diffPixels,
+    diffPercent,
+    sizeChanged: diff.sizeChanged,
+    ...(diff.sizeChanged && { baselineSize: diff.baselineSize, actualSize: diff.actualSize })
+  };
+}
+
+export function formatComparison(result) {
+  const size = size => `${size.width}x${size.height}`;
+  switch (result.status) {
+    case 'created':
+      return `✓ Saved new baseline "${result.baseline}": ${result.path}`;
+    case 'updated':
+      return `✓ Updated baseline "${result.baseline}": ${result.path}`;
+    case 'match':
+      return `✓ Matches baseline "${result.baseline}" (${result.diffPercent}% of pixels changed, threshold ${result.threshold}%)`;
+    default:
+      return [
+        `✗ Differs from baseline "${result.baseline}": ${result.diffPercent}% of pixels changed (${result.diffPixels}), threshold ${result.threshold}%`,
+        ...(result.sizeChanged ? [`  Size: ${size(result.baselineSize)} -> ${size(result.actualSize)}`] : []),
+        `  Diff:     ${result.diff}`,
+        `  Actual:   ${result.actual}`,
+        `  Baseline: ${result.path}`,
+        '  Accept the change with --update'
+      ].join('\n');
+  }
+}
@@ -0,0 +1,414 @@
+import { JSDOM } from 'jsdom';
+
+// Search backends: each builds its results URL (for a 0-based results `page`,
+// or `offset` = results seen on earlier pages, plus filters) and parses the
+// results page into typed results. Parsers take a DOM Document, so they run the
+// same on a live page's HTML and on the saved fixtures in test/fixtures/search/.
+
+// Query parameters that only track the click
+const TRACKING_PARAMS = /^(utm_\w+|gclid|fbclid|msclkid|mc_cid|mc_eid|srsltid|_hsenc|_hsmi)$/;
+
+// Consent walls, CAPTCHAs and bot checks, recognised by URL, markup or wording
+const BLOCKED_URLS = [
+  [/^https?:\/\/(www\.)?google\.[a-z.]+\/sorry\//, 'Google "unusual traffic" check'],
+  [/^https?:\/\/consent\.(google|youtube)\.[a-z.]+\//, 'Google consent page'],
+  [/^https?:\/\/[^/]*bing\.com\/(turing|challenge)\//, 'Bing CAPTCHA'],
+  [/^https?:\/\/search\.brave\.com\/.*captcha/, 'Brave Search CAPTCHA']
+];
+const BLOCKED_SELECTORS = [
+  ['form#captcha-form, #recaptcha, .g-recaptcha, iframe[src*="recaptcha"]', 'reCAPTCHA'],
+  ['.h-captcha, iframe[src*="hcaptcha"]', 'hCaptcha'],
+  ['.anomaly-modal__modal, #anomaly-modal', 'DuckDuckGo bot check'],
+  ['.cf-turnstile, #challenge-form, #cf-challenge-running', 'Cloudflare challenge'],
+  ['form[action*="consent."]', 'consent wall']
+];
+const BLOCKED_TEXT = [
+  [/unusual traffic from your computer network/i, '"unusual traffic" page'],
+  [/before you continue to (google|youtube)/i, 'Google consent page'],
+  [/bots use duckduckgo too/i, 'DuckDuckGo bot check'],
+  [/(verify|confirm) (that )?you are (a )?human|are you a robot|i'?m not a robot/i, 'CAPTCHA'],
+  [/solve the (following )?(captcha|challenge)/i, 'CAPTCHA']
+];
+
+function text(el) {
+  return el ? el.textContent.replace(/\s+/g, ' ').trim() : '';
+}
+
+function first(root, selectors) {
+  for (const selector of selectors) {
+    const el = root.querySelector(selector);
+    if (el) {
+      return el;
+    }
+  }
+  return null;
+}
+
+// Bing's /ck/a?u=a1<base64url> click-tracking links
+function decodeBingTarget(value) {
+  if (!value || !value.startsWith('a1')) {
+    return null;
+  }
+  return Buffer.from(value.slice(2).replace(/-/g, '+').replace(/_/g, '/'), 'base64').toString('utf8');
+}
+
+/**
+ * Resolves an engine's redirect link to its target (Google /url?q=,
+ * DuckDuckGo /l/?uddg=, Bing /ck/a?u=) and drops click-tracking query
+ * parameters (utm_*, gclid, fbclid, ...). Other links are returned as-is.
+ */
+export function unwrapRedirect(href, baseUrl) {
+  let url;
+  try {
+    url = new URL(href, baseUrl);
+  } catch {
+    return href;
+  }
+
+  const host = url.hostname.replace(/^www\./, '');
+  let target = null;
+  if (/^google\./.test(host) && url.pathname === '/url') {
+    target = url.searchParams.get('q') || url.searchParams.get('url');
+  } else if (host.endsWith('duckduckgo.com') && url.pathname === '/l/') {
+    target = url.searchParams.get('uddg');
+  } else if (host === 'bing.com' && url.pathname === '/ck/a') {
+    target = decodeBingTarget(url.searchParams.get('u'));
+  }
+
+  if (target && /^https?:/.test(target)) {
+    return unwrapRedirect(target);
+  }
+  for (const name of [...url.searchParams.keys()]) {
+    if (TRACKING_PARAMS.test(name)) {
+      url.searchParams.delete(name);
+    }
+  }
+  return url.href;
+}
+
+// Bing's custom date range filter counts days since the Unix epoch
+function bingDays(offsetDays) {
+  return Math.floor(Date.now() / 86400000) - offsetDays;
+}
+
+// Puts the results of several per-type passes back in page order
+function inPageOrder(results) {
+  return results.sort((a, b) => (a.el.compareDocumentPosition(b.el) & 4 ? -1 : 1));
+}
+
+function queryString(params) {
+  return Object.entries(params)
+    .filter(([, value]) => value !== undefined && value !== null && value !== '')
+    .map(([name, value]) => `${name}=${encodeURIComponent(value)}`)
+    .join('&');
+}
+
+const google = {
+  name: 'Google',
+  filters: ['time', 'lang', 'region'],
+  searchUrl: (q, { page = 0, time, lang, region } = {}) => 'https://www.google.com/search?' + queryString({
+    q,
+    hl: 'en',
+    start: page ? page * 10 : null,
+    tbs: time ? `qdr:${time[0]}` : null,
+    lr: lang ? `lang_${lang}` : null,
+    gl: region
+  }),
+  // Class names are obfuscated and rotate; anchor on headings inside links and
+  // only use the classes as hints for the snippet and block type
+  parse(doc) {
+    const root = doc.querySelector('#search') || doc.querySelector('#rso') || doc.body;
+    const results = [];
+
+    for (const heading of root.querySelectorAll('a h3')) {
+      if (heading.closest('g-section-with-header, [data-news-cluster-id]')) {
+        continue;
+      }
+      const link = heading.closest('a');
+      const featured = heading.closest('.xpdopen, block-component, [data-featured-snippet]');
+      const container = featured || heading.closest('div.MjjYud, div.g, div[data-hveid]') || link.parentElement;
+      const snippet = featured
+        ? first(featured, ['.hgKElc', '[data-attrid="wa:/description"]', 'div[data-sncf]', '.VwiC3b'])
+        : first(container, ['div[data-sncf]', '.VwiC3b', 'div[style*="-webkit-line-clamp"]']);
+      const type = featured ? 'featured' : container.querySelector('video-voyager, [data-vid]') ? 'video' : 'organic';
+      results.push({ el: heading, type, title: text(heading), link: link.href, snippet: text(snippet) });
+    }
+
+    // "Top stories": cards whose title is a role=heading div, not an <h3>
+    for (const card of root.querySelectorAll('g-section-with-header a[href], [data-news-cluster-id] a[href]')) {
+      const heading = card.querySelector('[role="heading"], h3');
+      if (heading) {
+        const source = card.querySelector('.MgUUmf, .CEMjEf');
+        results.push({ el: card, type: 'news', title: text(heading), link: card.href, snippet: text(source) });
+      }
+    }
+
+    // "People also ask": the answers only load on click, so questions come without a link
+    for (const question of root.querySelectorAll('.related-question-pair')) {
+      const title = question.getAttribute('data-q') || text(first(question, ['[role="button"] span', '[role="button"]']));
+      results.push({ el: question, type: 'question', title, link: null, snippet: '' });
+    }
+
+    return inPageOrder(results);
+  }
+};
+
+const duckduckgo = {
+  name: 'DuckDuckGo',
+  filters: ['time', 'lang', 'region'],
+  // kl is one region-language code ("de-de", "us-en"), so a language needs a
+  // region ("en-en" is not a code); a lone --region fills both halves
+  ignores: ({ lang, region }) => (lang && !region ? ['lang'] : []),
+  searchUrl: (q, { offset = 0, time, lang, region } = {}) => 'https://html.duckduckgo.com/html/?' + queryString({
+    q,
+    s: offset || null,
+    dc: offset ? offset + 1 : null,
+    df: time ? time[0] : null,
+    kl: region ? `${region}-${lang || region}` : null
+  }),
+  parse(doc) {
+    const results = [];
+
+    for (const box of doc.querySelectorAll('.zci-wrapper, #zero_click_wrapper')) {
+      const link = first(box, ['.zci__heading a', 'a[href^="http"]']);
+      const heading = first(box, ['.zci__heading', 'h1']);
+      if (heading) {
+        results.push({ el: box, type: 'featured', title: text(heading), link: link && link.getAttribute('href'), snippet: text(box.querySelector('.zci__result')) });
+      }
+    }
+
+    for (const result of doc.querySelectorAll('.result:not(.result--ad)')) {
+      const link = result.querySelector('a.result__a');
+      if (link) {
+        results.push({
+          el: result,
+          type: result.classList.contains('result--news') ? 'news' : 'organic',
+          title: text(link),
+          link: link.getAttribute('href'),
+          snippet: text(result.querySelector('.result__snippet'))
+        });
+      }
+    }
+
+    return inPageOrder(results);
+  }
+};
+
+const BING_TIMES = { day: 'ez1', week: 'ez2', month: 'ez3' };
+
+const bing = {
+  name: 'Bing',
+  filters: ['time', 'lang', 'region'],
+  searchUrl: (q, { page = 0, time, lang, region } = {}) => 'https://www.bing.com/search?' + queryString({
+    q: lang ? `${q} language:${lang}` : q,
+    setlang: 'en',
+    first: page ? page * 10 + 1 : null,
+    filters: time ? `ex1:"${BING_TIMES[time] || `ez5_${bingDays(365)}_${bingDays(0)}`}"` : null,
+    cc: region
+  }),
+  parse(doc) {
+    const results = [];
+    const root = doc.querySelector('#b_results') || doc.body;
+
+    for (const result of root.querySelectorAll('#b_results > li.b_algo')) {
+      const link = result.querySelector('h2 a');
+      // Snippets can start with a label ("Web", a date) in .algoSlug_icon
+      result.querySelectorAll('.algoSlug_icon').forEach(el => el.remove());
+      if (link) {
+        results.push({
+          el: result,
+          type: 'organic',
+          title: text(link),
+          link: link.href,
+          snippet: text(first(result, ['.b_caption p', 'p.b_lineclamp2', 'p.b_lineclamp3', '.b_algoSlug', 'p']))
+        });
+      }
+    }
+
+    for (const answer of root.querySelectorAll('li.b_ans.b_top')) {
+      const link = first(answer, ['h2 a', '.b_algoheader a', 'a[href^="http"]']);
+      if (link) {
+        results.push({ el: answer, type: 'featured', title: text(first(answer, ['h2', '.b_algoheader'])) || text(link), link: link.href, snippet: text(first(answer, ['.rwrl', '.b_paractl', 'p'])) });
+      }
+    }
+
+    for (const question of root.querySelectorAll('.df_qntext, .b_rqnaQuestion')) {
+      results.push({ el: question, type: 'question', title: text(question), link: null, snippet: '' });
+    }
+
+    for (const card of root.querySelectorAll('.b_nwsAns a.title, .nws_cwrp a.title')) {
+      const item = card.closest('.na_card_wrp, .news-card') || card;
+      results.push({ el: card, type: 'news', title: text(card), link: card.href, snippet: text(item.querySelector('.snippet, .na_ttl')) });
+    }
+
+    for (const card of root.querySelectorAll('.b_vidAns a.mc_vtvc_link, .vsa_card a[href^="http"]')) {
+      results.push({ el: card, type: 'video', title: text(first(card, ['.mc_vtvc_title', '[title]'])) || text(card), link: card.href, snippet: text(card.querySelector('.mc_vtvc_meta_row')) });
+    }
+
+    return inPageOrder(results);
+  }
+};
+
+const BRAVE_TYPES = { web: 'organic', news: 'news', videos: 'video', featured: 'featured' };
+
+const brave = {
+  name: 'Brave Search',
+  filters: ['time', 'region'],
+  searchUrl: (q, { page = 0, time, region } = {}) => 'https://search.brave.com/search?' + queryString({
+    q,
+    source: 'web',
+    offset: page || null,
+    tf: time ? `p${time[0]}` : null,
+    country: region
+  }),
+  // Blocks are .snippet elements tagged with data-type; news and video blocks hold several cards
+  parse(doc) {
+    const results = [];
+
+    for (const block of doc.querySelectorAll('#results .snippet[data-type]')) {
+      const type = BRAVE_TYPES[block.getAttribute('data-type')];
+      if (type === 'organic' || type === 'featured') {
+        const link = block.querySelector('a[href^="http"]');
+        if (link) {
+          results.push({
+            el: block,
+            type,
+            title: text(first(block, ['.title', '.snippet-title'])) || text(link),
+            link: link.href,
+            snippet: text(first(block, ['.snippet-description', '.generic-snippet .content', '.description']))
+          });
+        }
+      } else if (type) {
+        for (const card of block.querySelectorAll('a[href^="http"]')) {
+          const title = first(card, ['.title', '.snippet-title']);
+          if (title) {
+            results.push({ el: card, type, title: text(title), link: card.href, snippet: text(card.querySelector('.description, .netloc')) });
+          }
+        }
+      }
+    }
+
+    for (const question of doc.querySelectorAll('#results .faq details, #results [data-type="faq"] details')) {
+      const source = question.querySelector('a[href^="http"]');
+      results.push({ el: question, type: 'question', title: text(question.querySelector('summary')), link: source ? source.href : null, snippet: '' });
+    }
+
+    return inPageOrder(results);
+  }
+};
+
+const searxng = {
+  name: 'SearXNG',
+  needsBaseUrl: true,
+  // The instance's language setting takes "de" or "de-DE"; a region alone has no parameter
+  filters: ['time', 'lang', 'region'],
+  ignores: ({ lang, region }) => (region && !lang ? ['region'] : []),
+  searchUrl: (q, { baseUrl, page = 0, time, lang, region } = {}) => `${baseUrl.replace(/\/+$/, '')}/search?` + queryString({
+    q,
+    categories: 'general',
+    pageno: page ? page + 1 : null,
+    time_range: time,
+    language: lang && region ? `${lang}-${region.toUpperCase()}` : lang
+  }),
+  parse(doc) {
+    const results = [];
+
+    for (const box of doc.querySelectorAll('#infoboxes .infobox')) {
+      const link = first(box, ['h2 a', '.urls a', 'a[href^="http"]']);
+      results.push({ el: box, type: 'featured', title: text(box.querySelector('h2')), link: link ? link.href : null, snippet: text(box.querySelector('p')) });
+    }
+
+    for (const result of doc.querySelectorAll('article.result')) {
+      const link = first(result, ['h3 a', 'a.url_header', 'a[href^="http"]']);
+      if (link) {
+        const type = result.classList.contains('category-news') ? 'news'
+          : result.classList.contains('category-videos') || result.classList.contains('result-videos') ? 'video'
+            : 'organic';
+        results.push({
+          el: result,
+          type,
+          title: text(result.querySelector('h3')) || text(link),
+          link: link.href,
+          snippet: text(result.querySelector('.content'))
+        });
+      }
+    }
+
+    return inPageOrder(results);
+  }
+};
+
+export const SEARCH_ENGINES = { google, duckduckgo, bing, brave, searxng };
+export const DEFAULT_ENGINE = 'google';
+export const RESULT_TYPES = ['organic', 'featured', 'question', 'news', 'video'];
+export const SEARCH_TIMES = ['day', 'week', 'month', 'year'];
+
+const VIDEO_LINK = /^https?:\/\/((www|m)\.)?(youtube\.com\/(watch|shorts)|youtu\.be\/|vimeo\.com\/\d|dailymotion\.com\/video\/)/;
+
+/**
+ * Builds the results page URL for a query and filters: `sites` become
+ * site: operators (any engine), `time`, `lang` and `region` map to the
+ * engine's own parameters where it has them (see engine.filters).
+ */
+export function buildSearchUrl(engine, q, { sites = [], ...options } = {}) {
+  const siteQuery = sites.length === 0 ? q
+    : `${q} ${sites.length === 1 ? `site:${sites[0]}` : `(${sites.map(site => `site:${site}`).join(' OR ')})`}`;
+  return engine.searchUrl(siteQuery, options);
+}
+
+// The filters (of time, lang, region) this engine cannot apply
+export function ignoredFilters(engine, filters) {
+  return ['time', 'lang', 'region']
+    .filter(name => filters[name] && !engine.filters.includes(name))
+    .concat(engine.ignores ? engine.ignores(filters) : []);
+}
+
+/**
+ * Parses a results page with the engine's parser and unwraps redirect links.
+ * Every result has a type (RESULT_TYPES); organic results that link to a
+ * video host count as videos. Blocks without a source link (e.g. "People
+ * also ask" questions) have link null; other results without an http(s)
+ * link (internal navigation, "more results" links) are dropped.
+ */
+export function parseResults(engine, html, url) {
+  const doc = new JSDOM(html, { url }).window.document;
+  return engine.parse(doc)
+    .map(({ el, type, title, link, snippet }) => {
+      const target = link ? unwrapRedirect(link, url) : null;
+      return { type: type === 'organic' && VIDEO_LINK.test(target) ? 'video' : type, title, link: target, snippet };
+    })
+    .filter(result => result.title && (result.link === null ? result.type !== 'organic' : /^https?:/.test(result.link)));
+}
+
+/**
+ * Recognises consent walls, CAPTCHAs and "unusual traffic" pages. Returns a
+ * short description of the block, or null for an ordinary page.
+ */
+export function detectBlock(html, url) {
+  for (const [pattern, description] of BLOCKED_URLS) {
+    if (pattern.test(url)) {
+      return description;
+    }
+  }
+
+  const doc = new JSDOM(html, { url }).window.document;
+  for (const [selector, description] of BLOCKED_SELECTORS) {
+    if (doc.querySelector(selector)) {
+      return description;
+    }
+  }
+
+  doc.querySelectorAll('script, style, noscript').forEach(el => el.remove());
+  const pageText = text(doc.body);
+  for (const [pattern, description] of BLOCKED_TEXT) {
+    if (pattern.test(pageText)) {
+      return description;
+    }
+  }
+  return null;
+}
+
+// Identity of a result for de-duplication: fragment and trailing slash ignored
+export function resultKey(result) {
+  return result.link ? result.link.replace(/#.*$/, '').replace(/\/+$/, '') : `${result.type}:${result.title}`;
+}
@@ -0,0 +1,243 @@
+// Selector generation for picked elements. generateSelectors runs inside the
+// page (it is injected as source), so it must not reference anything outside
+// its own body.
+
+/**
+ * Describes how to find `element` again:
+ *   selector  CSS selector verified to match only this element; shadow DOM
+ *             hops are joined with Puppeteer's " >>> " deep combinator
+ *   unique    false when no selector matching only this element was found
+ *   xpath     XPath within the element's document (null inside shadow DOM)
+ *   textXPath XPath by tag and visible text, when that is unique (else null)
+ *   frames    selectors of the same-origin iframes that contain the element,
+ *             outermost first ([] in the top document)
+ * Test ids, then stable ids, aria-label and name are preferred over classes
+ * and positions.
+ */
+export function generateSelectors(element) {
+  const TEST_ATTRIBUTES = ['data-testid', 'data-test-id', 'data-test', 'data-cy', 'data-qa'];
+  const HTML_NAMESPACE = 'http://www.w3.org/1999/xhtml';
+  const MAX_TEXT_LENGTH = 80;
+
+  // CSS.escape, which jsdom and older engines lack
+  function cssEscape(value) {
+    let result = '';
+    for (let i = 0; i < value.length; i++) {
+      const char = value[i];
+      const code = value.charCodeAt(i);
+      if (code === 0) {
+        result += '\uFFFD';
+      } else if ((code >= 0x1 && code <= 0x1f) || code === 0x7f ||
+        (/[0-9]/.test(char) && (i === 0 || (i === 1 && value[0] === '-')))) {
+        result += `\\${code.toString(16)} `;
+      } else if (i === 0 && char === '-' && value.length === 1) {
+        result += '\\-';
+      } else if (code >= 0x80 || /[\w-]/.test(char)) {
+        result += char;
+      } else {
+        result += `\\${char}`;
+      }
+    }
+    return result;
+  }
+
+  function attributeValue(value) {
+    return `"${value.replace(/["\\]/g, '\\$&').replace(/\n/g, '\\a ')}"`;
+  }
+
+  function xpathLiteral(value) {
+    if (!value.includes('"')) {
+      return `"${value}"`;
+    }
+    if (!value.includes("'")) {
+      return `'${value}'`;
+    }
+    return `concat(${value.split('"').map(part => `"${part}"`).join(`, '"', `)})`;
+  }
+
+  // Framework-generated ids and class names (React ":r1:", "ember123", CSS modules, hashes) change between builds
+  function isStable(value) {
+    return value.length > 0 && value.length <= 64 &&
+      !/^[:\d]|\d{3,}|[a-f0-9]{8,}|__[\w-]{5}$|^(css|sc|jsx|emotion)-/i.test(value);
+  }
+
+  function matchesOnly(root, selector, el) {
+    try {
+      const matches = root.querySelectorAll(selector);
+      return matches.length === 1 && matches[0] === el;
+    } catch {
+      return false;
+    }
+  }
+
+  // Selectors built from the element's own identifying attributes, best first
+  function anchors(el) {
+    const tag = cssEscape(el.localName);
+    const list = [];
+    for (const name of TEST_ATTRIBUTES) {
+      const value = el.getAttribute(name);
+      if (value) {
+        list.push(`[${name}=${attributeValue(value)}]`);
+      }
+    }
+    if (el.id && isStable(el.id)) {
+      list.push(`#${cssEscape(el.id)}`);
+    }
+    for (const name of ['aria-label', 'name']) {
+      const value = el.getAttribute(name);
+      if (value) {
+        list.push(`${tag}[${name}=${attributeValue(value)}]`);
+      }
+    }
+    return list;
+  }
+
+  function classSelector(el) {
+    const classes = Array.from(el.classList).filter(isStable).slice(0, 2);
+    return cssEscape(el.localName) + classes.map(name => `.${cssEscape(name)}`).join('');
+  }
+
+  // Tells the element apart from its siblings
+  function segment(el) {
+    const tag = cssEscape(el.localName);
+    const siblings = Array.from(el.parentNode ? el.parentNode.children : [el]);
+    const sameTag = siblings.filter(sibling => sibling.localName === el.localName);
+    if (sameTag.length === 1) {
+      return tag;
+    }
+    const classed = classSelector(el);
+    if (classed !== tag && siblings.filter(sibling => sibling.matches(classed)).length === 1) {
+      return classed;
+    }
+    return `${tag}:nth-of-type(${sameTag.indexOf(el) + 1})`;
+  }
+
+  // Shortest verified selector within the element's own document or shadow root
+  function cssInRoot(el) {
+    const root = el.getRootNode();
+    for (const selector of [...anchors(el), classSelector(el)]) {
+      if (matchesOnly(root, selector, el)) {
+        return { selector, unique: true };
+      }
+    }
+
+    const path = [segment(el)];
+    for (let current = el.parentElement; current; current = current.parentElement) {
+      const anchor = anchors(current).find(selector => matchesOnly(root, selector, current));
+      if (anchor) {
+        for (const selector of [`${anchor} ${classSelector(el)}`, `${anchor} > ${path.join(' > ')}`]) {
+          if (matchesOnly(root, selector, el)) {
+            return { selector, unique: true };
+          }
+        }
+      }
+      const selector = path.join(' > ');
+      if (matchesOnly(root, selector, el)) {
+        return { selector, unique: true };
+      }
+      path.unshift(segment(current));
+    }
+
+    const selector = path.join(' > ');
+    return { selector, unique: matchesOnly(root, selector, el) };
+  }
+
+  // Walks out of shadow roots, joining each host's selector with >>>
+  function cssSelector(el) {
+    const parts = [];
+    let unique = true;
+    let current = el;
+    while (current) {
+      const result = cssInRoot(current);
+      parts.unshift(result.selector);
+      unique = unique && result.unique;
+      const root = current.getRootNode();
+      current = root.host || null;
+    }
+    return { selector: parts.join(' >>> '), unique };
+  }
+
+  function countXPath(doc, xpath) {
+    try {
+      return doc.evaluate(xpath, doc, null, 7, null).snapshotLength;
+    } catch {
+      return 0;
+    }
+  }
+
+  function firstXPath(doc, xpath) {
+    return doc.evaluate(xpath, doc, null, 9, null).singleNodeValue;
+  }
+
+  function isUniqueXPath(doc, xpath, el) {
+    return countXPath(doc, xpath) === 1 && firstXPath(doc, xpath) === el;
+  }
+
+  function xpathStep(el) {
+    const name = el.namespaceURI === HTML_NAMESPACE ? el.localName : `*[local-name()=${xpathLiteral(el.localName)}]`;
+    const siblings = el.parentNode ? Array.from(el.parentNode.children).filter(sibling => sibling.localName === el.localName) : [el];
+    return siblings.length > 1 ? `${name}[${siblings.indexOf(el) + 1}]` : name;
+  }
+
+  function xpathAnchor(el) {
+    for (const name of TEST_ATTRIBUTES) {
+      const value = el.getAttribute(name);
+      if (value) {
+        return `//*[@${name}=${xpathLiteral(value)}]`;
+      }
+    }
+    return el.id && isStable(el.id) ? `//*[@id=${xpathLiteral(el.id)}]` : null;
+  }
+
+  // Anchored at the nearest uniquely identifiable ancestor, else absolute from <html>
+  function xpathFor(el) {
+    const doc = el.ownerDocument;
+    const steps = [];
+    for (let current = el; current; current = current.parentElement) {
+      const anchor = xpathAnchor(current);
+      if (anchor && isUniqueXPath(doc, anchor, current)) {
+        return [anchor, ...steps].join('/');
+      }
+      steps.unshift(xpathStep(current));
+    }
+    return `/${steps.join('/')}`;
+  }
+
+  function textXPath(el) {
+    const text = (el.textContent || '').replace(/\s+/g, ' ').trim();
+    if (!text || text.length > MAX_TEXT_LENGTH || el.namespaceURI !== HTML_NAMESPACE) {
+      return null;
+    }
+    const xpath = `//${el.localName}[normalize-space()=${xpathLiteral(text)}]`;
+    return isUniqueXPath(el.ownerDocument, xpath, el) ? xpath : null;
+  }
+
+  function frameSelectors(el) {
+    const frames = [];
+    let frame = null;
+    try {
+      frame = el.ownerDocument.defaultView.frameElement;
+    } catch {
+      // Cross-origin parents hide their frame element
+    }
+    while (frame) {
+      frames.unshift(cssSelector(frame).selector);
+      try {
+        frame = frame.ownerDocument.defaultView.frameElement;
+      } catch {
+        frame = null;
+      }
+    }
+    return frames;
+  }
+
+  const inShadowRoot = Boolean(element.getRootNode().host);
+  const { selector, unique } = cssSelector(element);
+  return {
+    selector,
+    unique,
+    xpath: inShadowRoot ? null : xpathFor(element),
+    textXPath: inShadowRoot ? null : textXPath(element),
+    frames: frameSelectors(element)
+  };
+}
@@ -0,0 +1,137 @@
+import { execFileSync } from 'child_process';
+import { existsSync, mkdirSync, readFileSync, readdirSync, rmSync, writeFileSync } from 'fs';
+import { createServer } from 'net';
+import { homedir } from 'os';
+import { join } from 'path';
+import { STATE_DIR, readState, writeState } from './state.js';
+
+// A session is one Chrome instance with its own port, user-data-dir and pid file.
+// The "default" session keeps the historical port and profile location.
+export const DEFAULT_SESSION = 'default';
+export const SESSIONS_DIR = join(STATE_DIR, 'sessions');
+const FIRST_SESSION_PORT = 9223;
+const STATUS_TIMEOUT_MS = 1000;
+
+export function validateSessionName(name) {
+  if (!/^[A-Za-z0-9._-]+$/.test(name)) {
+    throw new Error(`Invalid session name "${name}" (use letters, digits, ".", "_" or "-")`);
+  }
+  return name;
+}
+
+export function getSessionDir(name) {
+  return join(SESSIONS_DIR, validateSessionName(name));
+}
+
+export function getUserDataDir(name) {
+  if (name === DEFAULT_SESSION) {
+    return join(homedir(), '.cache/browser-automation-lite');
+  }
+  return join(getSessionDir(name), 'profile');
+}
+
+export function getPidFile(name) {
+  return join(getSessionDir(name), 'chrome.pid');
+}
+
+export function readSession(name) {
+  return readState(join('sessions', validateSessionName(name), 'session'), null);
+}
+
+export function writeSession(record) {
+  mkdirSync(getSessionDir(record.name), { recursive: true });
+  writeState(join('sessions', record.name, 'session'), record);
+  writeFileSync(getPidFile(record.name), `${record.pid}\n`);
+}
+
+export function clearPid(name) {
+  const record = readSession(name);
+  if (record) {
+    writeState(join('sessions', name, 'session'), { ...record, pid: null });
+  }
+  rmSync(getPidFile(name), { force: true });
+}
+
+export function listSessions() {
+  if (!existsSync(SESSIONS_DIR)) {
+    return [];
+  }
+  return readdirSync(SESSIONS_DIR)
+    .map(name => readSession(name))
+    .filter(Boolean)
+    .sort((a, b) => a.port - b.port);
+}
+
+export function isProcessAlive(pid) {
+  if (!pid) {
+    return false;
+  }
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM';
+  }
+}
+
+// The process's arguments, from /proc on Linux and ps elsewhere; null when unreadable
+function readCommandLine(pid) {
+  try {
+    return readFileSync(`/proc/${pid}/cmdline`, 'utf8').split('\0').filter(Boolean);
+  } catch {
+    // No procfs (macOS)
+  }
+  try {
+    return execFileSync('ps', ['-p', String(pid), '-o', 'args='], { encoding: 'utf8' }).trim().split(/\s+(?=--)/);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * True when `argv` is the command line of the Chrome that browser-start.js
+ * launched for `record`: its debugging port and user-data-dir flags.
+ */
+export function isSessionCommandLine(argv, record) {
+  const userDataDir = record.userDataDir || getUserDataDir(record.name);
+  return argv.includes(`--remote-debugging-port=${record.port}`) && argv.includes(`--user-data-dir=${userDataDir}`);
+}
+
+// A recorded pid can be reused by an unrelated process once Chrome has exited
+export function isSessionProcess(record) {
+  if (!isProcessAlive(record.pid)) {
+    return false;
+  }
+  const argv = readCommandLine(record.pid);
+  return argv !== null && isSessionCommandLine(argv, record);
+}
+
+export async function isPortResponding(port) {
+  try {
+    const response = await fetch(`http://localhost:${port}/json/version`, {
+      signal: AbortSignal.timeout(STATUS_TIMEOUT_MS)
+    });
+    return response.ok;
+  } catch (error) {
+    return false;
+  }
+}
+
+function isPortFree(port) {
+  return new Promise(resolve => {
+    const server = createServer();
+    server.once('error', () => resolve(false));
+    server.listen(port, '127.0.0.1', () => server.close(() => resolve(true)));
+  });
+}
+
+// First port from FIRST_SESSION_PORT that no other session claims and nothing listens on
+export async function allocatePort(name) {
+  const taken = new Set(listSessions().filter(s => s.name !== name).map(s => s.port));
+  for (let port = FIRST_SESSION_PORT; port < FIRST_SESSION_PORT + 100; port++) {
+    if (!taken.has(port) && await isPortFree(port)) {
+      return port;
+    }
+  }
+  throw new Error('No free debugging port found for the session');
+}
@@ -0,0 +1,24 @@
+import { existsSync, mkdirSync, readFileSync, writeFileSync } from 'fs';
+import { homedir } from 'os';
+import { join } from 'path';
+
+// Small JSON files shared between invocations (kept outside Chrome's user-data-dir)
+export const STATE_DIR = process.env.BROWSER_STATE_DIR || join(homedir(), '.cache/browser-automation-lite-state');
+
+export function readState(name, fallback = {}) {
+  const file = join(STATE_DIR, `${name}.json`);
+  if (!existsSync(file)) {
+    return fallback;
+  }
+  try {
+    return JSON.parse(readFileSync(file, 'utf8'));
+  } catch (error) {
+    // Corrupted state is not worth failing a command over
+    return fallback;
+  }
+}
+
+export function writeState(name, data) {
+  mkdirSync(STATE_DIR, { recursive: true });
+  writeFileSync(join(STATE_DIR, `${name}.json`), JSON.stringify(data, null, 2) + '\n');
+}
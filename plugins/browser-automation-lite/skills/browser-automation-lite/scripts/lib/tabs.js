@@ -0,0 +1,27 @@
+// Tab listing shared by browser-tabs.js and browser-repl.js
+
+import { getTargetId } from './connection.js';
+
+/**
+ * Lists the tabs as {index, id, title, url, default}; `default` marks the
+ * tab whose target id is `defaultId`.
+ */
+export async function describeTabs(pages, defaultId) {
+  const tabs = [];
+  for (const [index, page] of pages.entries()) {
+    const id = await getTargetId(page);
+    tabs.push({ index, id, title: await page.title(), url: page.url(), default: id === defaultId });
+  }
+  return tabs;
+}
+
+export function formatTabs(tabs) {
+  if (tabs.length === 0) {
+    return 'No tabs open';
+  }
+
+  return tabs.map(tab => {
+    const marker = tab.default ? '*' : ' ';
+    return `[${tab.index}]${marker} ${tab.id}  ${tab.title || '(untitled)'}\n     ${tab.url}`;
+  }).join('\n');
+}
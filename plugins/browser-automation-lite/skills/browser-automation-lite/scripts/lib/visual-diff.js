@@ -0,0 +1,61 @@
+import { PNG } from 'pngjs';
+import pixelmatch from 'pixelmatch';
+
+// pixelmatch's per-pixel colour tolerance (0 exact .. 1 anything goes)
+export const DEFAULT_PIXEL_THRESHOLD = 0.1;
+
+const DIFF_COLOR = [255, 0, 0];
+
+// The top-left width x height of the image
+function cropImage(image, width, height) {
+  if (image.width === width && image.height === height) {
+    return image;
+  }
+  const cropped = new PNG({ width, height });
+  PNG.bitblt(image, cropped, 0, 0, width, height, 0, 0);
+  return cropped;
+}
+
+/**
+ * Compares two PNG buffers pixel by pixel. When the sizes differ, the shared
+ * top-left area is compared and everything outside it counts as changed.
+ * Anti-aliased pixels are ignored unless `includeAA` is set. Returns the
+ * changed-pixel count and ratio, plus a PNG with the changes in red over a
+ * faded copy of the baseline.
+ */
+export function compareImages(baselinePng, actualPng, { pixelThreshold = DEFAULT_PIXEL_THRESHOLD, includeAA = false } = {}) {
+  const baseline = PNG.sync.read(baselinePng);
+  const actual = PNG.sync.read(actualPng);
+  const width = Math.max(baseline.width, actual.width);
+  const height = Math.max(baseline.height, actual.height);
+  const overlapWidth = Math.min(baseline.width, actual.width);
+  const overlapHeight = Math.min(baseline.height, actual.height);
+
+  const overlapDiff = new PNG({ width: overlapWidth, height: overlapHeight });
+  const overlapPixels = pixelmatch(
+    cropImage(baseline, overlapWidth, overlapHeight).data,
+    cropImage(actual, overlapWidth, overlapHeight).data,
+    overlapDiff.data,
+    overlapWidth,
+    overlapHeight,
+    { threshold: pixelThreshold, includeAA, diffColor: DIFF_COLOR }
+  );
+
+  const diff = new PNG({ width, height });
+  for (let i = 0; i < diff.data.length; i += 4) {
+    diff.data.set([...DIFF_COLOR, 255], i);
+  }
+  PNG.bitblt(overlapDiff, diff, 0, 0, overlapWidth, overlapHeight, 0, 0);
+  const diffPixels = overlapPixels + width * height - overlapWidth * overlapHeight;
+
+  return {
+    width,
+    height,
+    baselineSize: { width: baseline.width, height: baseline.height },
+    actualSize: { width: actual.width, height: actual.height },
+    sizeChanged: baseline.width !== actual.width || baseline.height !== actual.height,
+    diffPixels,
+    diffRatio: diffPixels / (width * height),
+    diffImage: PNG.sync.write(diff)
+  };
+}
@@ -0,0 +1,26 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getOption, getOptions, getPositionals, splitArgs } from '../lib/args.js';
+
+test('splits on whitespace and groups quoted arguments', () => {
+  assert.deepEqual(splitArgs('  https://example.com   --wait-until load '), ['https://example.com', '--wait-until', 'load']);
+  assert.deepEqual(splitArgs(`--selector "div.card > a" --text 'say "hi"\\n' ""`), ['--selector', 'div.card > a', '--text', 'say "hi"\\n', '']);
+  assert.deepEqual(splitArgs('--arg name="\\"ada\\"" a\\ b'), ['--arg', 'name="ada"', 'a b']);
+  assert.deepEqual(splitArgs(''), []);
+});
+
+test('rejects unterminated quotes', () => {
+  assert.throws(() => splitArgs('--text "open'), /Unterminated double quote/);
+});
+
+test('positionals skip flags and option values', () => {
+  assert.deepEqual(getPositionals(['fill', '--nth', '1', '#q', '--json', 'text'], ['--nth']), ['fill', '#q', 'text']);
+});
+
+test('arguments after -- are positional and never options', () => {
+  const args = ['type', '#pw', '--delay', '5', '--', '--secret', '--delay', '9'];
+  assert.deepEqual(getPositionals(args, ['--delay']), ['type', '#pw', '--secret', '--delay', '9']);
+  assert.equal(getOption(args, '--delay'), '5');
+  assert.deepEqual(getOptions(args, '--delay'), ['5']);
+  assert.equal(getOption(['--', '--timeout', '1'], '--timeout', 'none'), 'none');
+});
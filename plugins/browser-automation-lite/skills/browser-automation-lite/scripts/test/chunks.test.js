@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildToc, getSection, chunkMarkdown } from '../lib/chunks.js';
+
+const GUIDE = [
+  'Intro text.',
+  '## Install',
+  'Run the installer.',
+  '### From source',
+  '```sh\n# not a heading\nmake\n```',
+  '## Usage',
+  'Use it.'
+].join('\n\n');
+
+test('the toc numbers sections from the highest heading level present', () => {
+  const toc = buildToc(GUIDE);
+  assert.deepEqual(toc.map(({ id, level, title }) => [id, level, title]), [
+    ['0', 0, '(introduction)'],
+    ['1', 2, 'Install'],
+    ['1.1', 3, 'From source'],
+    ['2', 2, 'Usage']
+  ]);
+  // A section's size includes its subsections
+  assert.ok(toc[1].chars > toc[2].chars);
+  assert.equal(toc[1].tokens, Math.ceil(toc[1].chars / 4));
+});
+
+test('sections are found by id or heading text, with their subsections', () => {
+  const install = getSection(GUIDE, '1');
+  assert.deepEqual(install.sections, ['1', '1.1']);
+  assert.equal(install.content, '## Install\n\nRun the installer.\n\n### From source\n\n```sh\n# not a heading\nmake\n```');
+  assert.equal(getSection(GUIDE, 'usage').content, '## Usage\n\nUse it.');
+  assert.throws(() => getSection(GUIDE, 'Missing'), /No section "Missing"/);
+});
+
+test('chunks keep whole sections together where they fit', () => {
+  const chunks = chunkMarkdown(GUIDE, 80);
+  assert.ok(chunks.every(chunk => chunk.content.length <= 80));
+  assert.deepEqual(chunks.map(chunk => chunk.sections), [['0', '1'], ['1.1', '2']]);
+  assert.equal(chunks.map(chunk => chunk.content).join('\n\n'), GUIDE);
+  assert.deepEqual(chunkMarkdown('', 80), [{ index: 1, sections: [], content: '' }]);
+});
+
+test('split sections repeat their heading, and code fences stay valid', () => {
+  const code = ['```js', ...Array.from({ length: 6 }, (_, i) => `line(${i});`), '```'].join('\n');
+  const markdown = `## Example\n\n${'word '.repeat(12).trim()}\n\n${code}`;
+  const chunks = chunkMarkdown(markdown, 40);
+  assert.ok(chunks.length > 2);
+  for (const chunk of chunks) {
+    assert.ok(chunk.content.length <= 40, chunk.content);
+    assert.ok(chunk.content.startsWith('## Example\n\n'), chunk.content);
+    assert.equal((chunk.content.match(/```/g) || []).length % 2, 0, chunk.content);
+  }
+});
+
+test('a heading longer than the limit starts its section on its own', () => {
+  const chunks = chunkMarkdown('# A heading that is longer than the limit\n\nfirst part\n\nsecond part', 30);
+  assert.deepEqual(chunks.map(chunk => chunk.content), [
+    '# A heading that is longer',
+    'than the limit\n\nfirst part',
+    'second part'
+  ]);
+});
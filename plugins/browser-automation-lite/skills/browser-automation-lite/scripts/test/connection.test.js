@@ -0,0 +1,9 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseConnectionArgs, EXIT_CODES } from '../lib/connection.js';
+
+test('bad connection options throw BrowserErrors instead of exiting', () => {
+  assert.throws(() => parseConnectionArgs(['--port', 'abc']), { kind: 'usage', exitCode: EXIT_CODES.ERROR, message: 'Invalid --port value: abc' });
+  assert.throws(() => parseConnectionArgs(['--session', '../etc']), { kind: 'usage', exitCode: EXIT_CODES.ERROR });
+  assert.throws(() => parseConnectionArgs(['--session', 'no-such-session-for-tests']), { kind: 'connection', exitCode: EXIT_CODES.CONNECTION_REFUSED, message: /Unknown session "no-such-session-for-tests"/ });
+});
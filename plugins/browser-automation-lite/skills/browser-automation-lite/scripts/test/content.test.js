@@ -0,0 +1,104 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { JSDOM } from 'jsdom';
+import { getPageHtml, extractArticle, renderContent, formatDocument } from '../lib/content.js';
+
+const PAGE = `<!DOCTYPE html>
+<html lang="en">
+<head><title>Release notes</title><meta name="author" content="Ada"></head>
+<body>
+  <nav><a href="/">Home</a></nav>
+  <main>
+    <section class="post" id="first"><h2>First</h2><p>One <span class="ad">Buy now</span></p><section class="post" id="inner"><p>Nested</p></section></section>
+    <aside class="ad">Sponsored</aside>
+    <section class="post" id="second"><h2>Second</h2><p>Two</p></section>
+  </main>
+</body>
+</html>`;
+
+// page.evaluate for a jsdom document, standing in for the browser tab
+function fakePage(html) {
+  const { window } = new JSDOM(html, { runScripts: 'outside-only' });
+  return {
+    evaluate: async (fn, ...args) => window.eval(`(${fn})`)(...args)
+  };
+}
+
+const article = {
+  url: 'https://example.com/notes',
+  title: 'Release "2.0"',
+  html: '<h2>Changes</h2><p>See <a href="https://example.com/docs">the docs</a> and <a href="#top">top</a>.</p>' +
+    '<ul><li>Faster</li><li>Smaller</li></ul><pre><code>npm  install\nnpm test</code></pre>' +
+    '<table><thead><tr><th>Key</th><th>Value</th></tr></thead><tbody><tr><td>a</td><td>1</td></tr></tbody></table>',
+  byline: 'Ada',
+  siteName: null,
+  excerpt: '',
+  lang: 'en',
+  publishedTime: null,
+  length: 42
+};
+
+test('--selector keeps only the outermost matching containers', async () => {
+  const html = await getPageHtml(fakePage(PAGE), { selector: '.post' });
+  const doc = new JSDOM(html).window.document;
+  assert.deepEqual(Array.from(doc.body.children, el => el.id), ['first', 'second']);
+  assert.equal(doc.querySelectorAll('#inner').length, 1);
+  assert.equal(doc.title, 'Release notes');
+});
+
+test('--exclude removes matching elements, also inside --selector containers', async () => {
+  const html = await getPageHtml(fakePage(PAGE), { selector: '.post', exclude: ['.ad', '#inner'] });
+  assert.doesNotMatch(html, /Buy now|Sponsored|Nested/);
+  assert.match(html, /One/);
+
+  const whole = await getPageHtml(fakePage(PAGE), { exclude: ['nav'] });
+  assert.doesNotMatch(whole, /Home/);
+  assert.match(whole, /Sponsored/);
+});
+
+test('a --selector that matches nothing is an element error', async () => {
+  await assert.rejects(getPageHtml(fakePage(PAGE), { selector: '.missing' }), { kind: 'element', message: /No element matches "\.missing"/ });
+});
+
+test('renders Markdown, text and HTML', () => {
+  const markdown = renderContent(article, 'markdown');
+  assert.match(markdown, /^## Changes$/m);
+  assert.match(markdown, /\[the docs\]\(https:\/\/example\.com\/docs\)/);
+  assert.match(markdown, /^- +Faster\n- +Smaller$/m);
+  assert.match(markdown, /```\nnpm {2}install\nnpm test\n```/);
+  assert.match(markdown, /^\| Key \| Value \|$/m);
+
+  const text = renderContent(article, 'text');
+  assert.match(text, /^Changes\n\nSee the docs and top\.$/m);
+  assert.match(text, /^- Faster\n- Smaller$/m);
+  assert.match(text, /^npm {2}install\nnpm test$/m);
+  assert.doesNotMatch(text, /<|\]\(/);
+
+  assert.equal(renderContent(article, 'html'), article.html);
+});
+
+test('numbered link references skip anchors into the page', () => {
+  assert.match(renderContent(article, 'markdown', { linkRefs: true }), /\[the docs\]\[1\][\s\S]*\n\n\[1\]: https:\/\/example\.com\/docs$/);
+  assert.match(renderContent(article, 'text', { linkRefs: true }), /the docs \[1\] and top\.[\s\S]*References:\n\[1\] https:\/\/example\.com\/docs$/);
+});
+
+test('front matter carries the metadata that is set, as YAML', () => {
+  const document = formatDocument(article, 'markdown', { frontMatter: true, content: 'Body' });
+  assert.equal(document, [
+    '---',
+    'title: "Release \\"2.0\\""',
+    'url: "https://example.com/notes"',
+    'byline: "Ada"',
+    'lang: "en"',
+    'length: 42',
+    '---',
+    '',
+    'Body'
+  ].join('\n'));
+  assert.equal(formatDocument(article, 'text', { content: 'Body' }), 'URL: https://example.com/notes\nTitle: Release "2.0"\n\nBody');
+  assert.match(formatDocument(article, 'html', { content: '<p>Body</p>' }), /<html lang="en">[\s\S]*<title>Release &quot;2.0&quot;<\/title>/);
+});
+
+test('too little content is rejected', () => {
+  assert.throws(() => extractArticle('<html><body><p>Short</p></body></html>', 'https://example.com/'), /Insufficient content/);
+});
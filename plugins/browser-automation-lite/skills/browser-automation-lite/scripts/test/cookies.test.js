@@ -0,0 +1,45 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { toNetscape, parseNetscape, parseCookieFile, filterCookies } from '../lib/cookies.js';
+
+const cookies = [
+  { name: 'sid', value: 'a\tb', domain: '.example.com', path: '/', expires: 1893456000, httpOnly: true, secure: true, sameSite: null },
+  { name: 'theme', value: 'dark', domain: 'www.example.com', path: '/app', expires: -1, httpOnly: false, secure: false, sameSite: null },
+  { name: 'sid', value: 'other', domain: 'example.org', path: '/', expires: -1, httpOnly: false, secure: false, sameSite: null }
+];
+
+test('cookies.txt round-trips, including session and HttpOnly cookies', () => {
+  const text = toNetscape(cookies);
+  assert.match(text, /^#HttpOnly_\.example\.com\tTRUE\t\/\tTRUE\t1893456000\tsid\ta\tb$/m);
+  assert.match(text, /^www\.example\.com\tFALSE\t\/app\tFALSE\t0\ttheme\tdark$/m);
+  assert.deepEqual(parseNetscape(text), cookies);
+});
+
+test('comment and blank lines are skipped, but #HttpOnly_ lines are cookies', () => {
+  const text = [
+    '# Netscape HTTP Cookie File',
+    '# example.com\tFALSE\t/\tFALSE\t0\tcommented\tout',
+    '',
+    '#HttpOnly_example.com\tFALSE\t/\tFALSE\t0\ttoken\tx',
+    'example.com\tFALSE\t/\tfalse\t0\tplain\ty\r'
+  ].join('\n');
+  const parsed = parseNetscape(text);
+  assert.deepEqual(parsed.map(cookie => [cookie.name, cookie.httpOnly]), [['token', true], ['plain', false]]);
+  assert.throws(() => parseNetscape('example.com\tFALSE\t/'), /Malformed cookies\.txt line/);
+});
+
+test('cookie files are JSON exports or cookies.txt', () => {
+  assert.deepEqual(parseCookieFile(JSON.stringify(cookies)), cookies);
+  assert.deepEqual(parseCookieFile(JSON.stringify({ cookies })), cookies);
+  assert.equal(parseCookieFile(toNetscape(cookies)).length, 3);
+  assert.throws(() => parseCookieFile('{"items": []}'), /"cookies" array/);
+});
+
+test('domain filters match the domain and its subdomains; name filters match exactly', () => {
+  const names = list => list.map(cookie => `${cookie.name}@${cookie.domain}`);
+  assert.deepEqual(names(filterCookies(cookies, { domain: 'example.com' })), ['sid@.example.com', 'theme@www.example.com']);
+  assert.deepEqual(names(filterCookies(cookies, { domain: '.WWW.example.com' })), ['theme@www.example.com']);
+  assert.deepEqual(names(filterCookies(cookies, { domain: 'ample.com' })), []);
+  assert.deepEqual(names(filterCookies(cookies, { name: 'sid' })), ['sid@.example.com', 'sid@example.org']);
+  assert.deepEqual(names(filterCookies(cookies, { domain: 'example.org', name: 'sid' })), ['sid@example.org']);
+});
@@ -0,0 +1,36 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { diffLines, unifiedDiff } from '../lib/diff.js';
+
+const LINES = 'a\nb\nc\nd\ne\nf\ng\nh\ni\nj\nk';
+
+test('equal texts have no diff', () => {
+  assert.equal(unifiedDiff(LINES, LINES), '');
+});
+
+test('diffLines finds a shortest edit script', () => {
+  const ops = diffLines('a\nb\nc\nd', 'a\nc\nd\ne');
+  assert.deepEqual(ops.map(op => `${op.type}${op.line}`), [' a', '-b', ' c', ' d', '+e']);
+});
+
+test('unifiedDiff prints hunks with context and line ranges', () => {
+  const diff = unifiedDiff(LINES, LINES.replace('c', 'C') + '\nl', { oldLabel: 'old', newLabel: 'new' });
+  assert.equal(diff, [
+    '--- old',
+    '+++ new',
+    '@@ -1,6 +1,6 @@',
+    ' a', ' b', '-c', '+C', ' d', ' e', ' f',
+    '@@ -9,3 +9,4 @@',
+    ' i', ' j', ' k', '+l'
+  ].join('\n'));
+});
+
+test('nearby changes share a hunk', () => {
+  const diff = unifiedDiff(LINES, LINES.replace('b', 'B').replace('i', 'I'));
+  assert.equal(diff.split('\n').filter(line => line.startsWith('@@')).length, 1);
+  assert.match(diff, /^@@ -1,11 \+1,11 @@$/m);
+});
+
+test('pure insertions point at the line before them', () => {
+  assert.match(unifiedDiff('a\nb', 'a\nx\nb', { context: 0 }), /^@@ -1,0 \+2,1 @@$/m);
+});
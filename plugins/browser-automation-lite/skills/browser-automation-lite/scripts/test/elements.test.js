@@ -0,0 +1,52 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setTimeout as sleep } from 'node:timers/promises';
+import { TimeoutError } from 'puppeteer-core';
+import { resolveElement, resolveActionableElement } from '../lib/elements.js';
+
+// Just enough of a Puppeteer page: `count` elements match every selector,
+// and each wait takes `delay` ms and records the timeout it was given
+function fakePage(count, { delay = 0 } = {}) {
+  const waits = [];
+  const wait = async timeout => {
+    waits.push(timeout);
+    await sleep(delay);
+    if (count === 0) {
+      throw new TimeoutError('timed out');
+    }
+  };
+  return {
+    waits,
+    waitForSelector: (selector, { timeout }) => wait(timeout),
+    waitForFunction: (fn, { timeout }) => wait(timeout),
+    $$: async () => Array.from({ length: count }, (_, i) => ({ id: i }))
+  };
+}
+
+test('a single match needs no --nth', async () => {
+  const { handle, index, count } = await resolveElement(fakePage(1), '#go');
+  assert.deepEqual([handle.id, index, count], [0, 0, 1]);
+});
+
+test('several matches are an error unless --nth picks one', async () => {
+  await assert.rejects(resolveElement(fakePage(3), '.item'), { kind: 'element', message: /matches 3 elements; .*--nth/ });
+  const { handle, index, count } = await resolveElement(fakePage(3), '.item', { nth: 2 });
+  assert.deepEqual([handle.id, index, count], [2, 2, 3]);
+});
+
+test('--nth out of range and missing elements are element errors', async () => {
+  await assert.rejects(resolveElement(fakePage(2), '.item', { nth: 2 }), { kind: 'element', message: /--nth 2 is out of range/ });
+  await assert.rejects(resolveElement(fakePage(0), '.item', { timeout: 10 }), { kind: 'element', message: /No element matches "\.item"/ });
+});
+
+test('finding and waiting for an actionable element share one timeout', async () => {
+  const page = fakePage(1, { delay: 50 });
+  await resolveActionableElement(page, '#go', { timeout: 200 });
+  const [found, actionable] = page.waits;
+  assert.equal(found, 200);
+  assert.ok(actionable > 0 && actionable <= 160, `waited up to ${actionable}ms for the element to be actionable`);
+
+  const unlimited = fakePage(1);
+  await resolveActionableElement(unlimited, '#go', { timeout: 0 });
+  assert.deepEqual(unlimited.waits, [0, 0]);
+});
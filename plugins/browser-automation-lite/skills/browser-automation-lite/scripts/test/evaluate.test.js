@@ -0,0 +1,76 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import vm from 'node:vm';
+import { prepareScript, formatRemoteObject } from '../lib/evaluate.js';
+
+test('scripts complete with their last value and keep declarations local', () => {
+  const context = vm.createContext({});
+  assert.equal(vm.runInContext(prepareScript('const a = 2;\nlet b = a * 3;\nb + 1'), context), 7);
+  assert.equal(vm.runInContext('typeof a', context), 'undefined');
+});
+
+test('arguments are declared as constants without shifting line numbers', () => {
+  const script = prepareScript('limit * 2\nfoo()', { args: { limit: 21, names: ['x'] }, sourceURL: 'prices.js' });
+  assert.equal(script.split('\n')[1], 'foo()');
+  assert.match(script, /\/\/# sourceURL=prices\.js$/);
+  assert.equal(vm.runInNewContext(prepareScript('limit * 2 + names.length', { args: { limit: 21, names: ['x'] } })), 43);
+});
+
+test('object literals are evaluated as objects, blocks as blocks', () => {
+  assert.equal(JSON.stringify(vm.runInNewContext(prepareScript('{a: 1, b: [2]}'))), '{"a":1,"b":[2]}');
+  assert.equal(vm.runInNewContext(prepareScript('{ const x = 5; x }')), 5);
+});
+
+test('previews values the way DevTools does', () => {
+  const cases = [
+    [{ type: 'undefined' }, 'undefined'],
+    [{ type: 'number', unserializableValue: 'NaN', description: 'NaN' }, 'NaN'],
+    [{ type: 'bigint', unserializableValue: '10n', description: '10n' }, '10n'],
+    [{ type: 'string', value: "it's" }, "'it\\'s'"],
+    [{ type: 'function', description: 'async function save(data, options) {\n  return 1;\n}' }, 'async ƒ save(data, options)'],
+    [{ type: 'object', subtype: 'node', className: 'HTMLDivElement', description: 'div#main.content' }, 'div#main.content'],
+    [{
+      type: 'object', subtype: 'map', className: 'Map', description: 'Map(2)',
+      preview: {
+        type: 'object', subtype: 'map', description: 'Map(2)', overflow: false, properties: [],
+        entries: [
+          { key: { type: 'string', description: 'a', overflow: false, properties: [] }, value: { type: 'number', description: '1', overflow: false, properties: [] } },
+          { key: { type: 'string', description: 'b', overflow: false, properties: [] }, value: { type: 'object', subtype: 'node', description: 'div#main', overflow: false, properties: [] } }
+        ]
+      }
+    }, "Map(2) {'a' => 1, 'b' => div#main}"],
+    [{
+      type: 'object', className: 'Object', description: 'Object',
+      preview: {
+        type: 'object', description: 'Object', overflow: true,
+        properties: [
+          { name: 'id', type: 'number', value: '1' },
+          { name: 'self', type: 'object', value: 'Object' },
+          { name: 'missing', type: 'undefined', value: 'undefined' },
+          { name: 'data-x', type: 'string', value: 'y' }
+        ]
+      }
+    }, "{id: 1, self: {…}, missing: undefined, 'data-x': 'y', …}"],
+    [{
+      type: 'object', subtype: 'array', className: 'Array', description: 'Array(2)',
+      preview: {
+        type: 'object', subtype: 'array', description: 'Array(2)', overflow: false,
+        properties: [{ name: '0', type: 'object', subtype: 'null', value: 'null' }, { name: '1', type: 'function', value: '' }]
+      }
+    }, 'Array(2) [null, ƒ]'],
+    [{
+      type: 'object', subtype: 'promise', className: 'Promise', description: 'Promise',
+      preview: {
+        type: 'object', subtype: 'promise', description: 'Promise', overflow: false,
+        properties: [{ name: '[[PromiseState]]', type: 'string', value: 'fulfilled' }, { name: '[[PromiseResult]]', type: 'number', value: '42' }]
+      }
+    }, 'Promise {<fulfilled>: 42}'],
+    [{
+      type: 'object', className: 'Cart', description: 'Cart',
+      preview: { type: 'object', description: 'Cart', overflow: false, properties: [{ name: 'items', type: 'object', subtype: 'array', value: 'Array(3)' }] }
+    }, 'Cart {items: Array(3)}']
+  ];
+  for (const [remote, expected] of cases) {
+    assert.equal(formatRemoteObject(remote), expected);
+  }
+});
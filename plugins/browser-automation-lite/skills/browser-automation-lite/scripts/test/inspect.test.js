@@ -0,0 +1,45 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { JSDOM } from 'jsdom';
+import { describeElement } from '../lib/inspect.js';
+import { generateSelectors } from '../lib/selectors.js';
+
+function describe(body, selector, options) {
+  const doc = new JSDOM(`<!DOCTYPE html><html><body>${body}</body></html>`).window.document;
+  return describeElement(doc.querySelector(selector), generateSelectors, options);
+}
+
+test('reports all attributes and the generated selectors', () => {
+  const info = describe('<a href="/docs" data-testid="docs-link" target="_blank">Docs</a>', 'a');
+  assert.deepEqual(info.attributes, { href: '/docs', 'data-testid': 'docs-link', target: '_blank' });
+  assert.equal(info.selector, '[data-testid="docs-link"]');
+  assert.equal(info.unique, true);
+});
+
+test('derives implicit roles and accessible names', () => {
+  const cases = [
+    ['<label for="q">Search the docs</label><input id="q" type="search">', 'input', 'searchbox', 'Search the docs'],
+    ['<button aria-label="Close">×</button>', 'button', 'button', 'Close'],
+    ['<span id="t">Billing</span><section aria-labelledby="t">…</section>', 'section', 'region', 'Billing'],
+    ['<img src="logo.png" alt="Acme logo">', 'img', 'img', 'Acme logo'],
+    ['<h2>  Pricing \n plans </h2>', 'h2', 'heading', 'Pricing plans'],
+    ['<input type="submit">', 'input', 'button', 'Submit'],
+    ['<div role="tab" title="Settings"></div>', 'div', 'tab', 'Settings'],
+    ['<div>Plain</div>', 'div', null, '']
+  ];
+  for (const [body, selector, role, name] of cases) {
+    const info = describe(body, selector);
+    assert.deepEqual([info.role, info.name], [role, name], body);
+  }
+});
+
+test('reports disabled controls, including those in disabled fieldsets', () => {
+  assert.equal(describe('<fieldset disabled><input></fieldset>', 'input').enabled, false);
+  assert.equal(describe('<div role="button" aria-disabled="true">Go</div>', 'div').enabled, false);
+  assert.equal(describe('<button>Go</button>', 'button').enabled, true);
+});
+
+test('includes computed styles only when asked', () => {
+  assert.equal(describe('<p>x</p>', 'p').styles, undefined);
+  assert.deepEqual(describe('<p style="display: none">x</p>', 'p', { styles: ['display'] }).styles, { display: 'none' });
+});
@@ -0,0 +1,220 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import { SEARCH_ENGINES, RESULT_TYPES, parseResults, buildSearchUrl, ignoredFilters, unwrapRedirect, detectBlock, resultKey } from '../lib/search-engines.js';
+
+// Saved (trimmed) results pages for "web scraping"; refresh them when an engine's layout changes
+const FIXTURES = {
+  google: 'https://www.google.com/search?q=web+scraping&hl=en',
+  duckduckgo: 'https://html.duckduckgo.com/html/?q=web+scraping',
+  bing: 'https://www.bing.com/search?q=web+scraping&setlang=en',
+  brave: 'https://search.brave.com/search?q=web+scraping&source=web',
+  searxng: 'http://localhost:8888/search?q=web+scraping&categories=general'
+};
+
+const WIKIPEDIA = {
+  type: 'organic',
+  title: 'Web scraping - Wikipedia',
+  link: 'https://en.wikipedia.org/wiki/Web_scraping',
+  snippet: 'Web scraping, web harvesting, or web data extraction is data scraping used for extracting data from websites.'
+};
+
+function readFixture(name) {
+  return readFileSync(new URL(`./fixtures/search/${name}.html`, import.meta.url), 'utf8');
+}
+
+function parseFixture(name) {
+  return parseResults(SEARCH_ENGINES[name], readFixture(name), FIXTURES[name]);
+}
+
+function ofType(results, type) {
+  return results.filter(result => result.type === type);
+}
+
+// Rich blocks as [type, title] in page order
+function richBlocks(results) {
+  return results.filter(result => result.type !== 'organic').map(result => [result.type, result.title]);
+}
+
+for (const name of Object.keys(FIXTURES)) {
+  test(`${name}: parses organic results in page order`, () => {
+    const results = ofType(parseFixture(name), 'organic');
+
+    assert.ok(results.length >= 2, `expected at least 2 results, got ${results.length}`);
+    assert.deepEqual(results[0], WIKIPEDIA);
+    assert.equal(results[1].title, 'Web Scraping 101: Tools, Techniques and Tips');
+    assert.match(results[1].link, /^https:\/\/www\.scrapingbee\.com\/blog\/web-scraping-101\//);
+    assert.match(results[1].snippet, /^A beginner's guide to extracting data from web pages/);
+  });
+
+  test(`${name}: skips ads and navigation`, () => {
+    for (const result of parseFixture(name)) {
+      assert.ok(RESULT_TYPES.includes(result.type), result.type);
+      if (result.link !== null) {
+        assert.match(result.link, /^https?:\/\//);
+        assert.doesNotMatch(result.link, /aclk|y\.js|[?&]start=|[?&]first=/);
+      }
+      assert.doesNotMatch(result.title, /Sponsored|Free Trial|^Next|^(News|Videos|Top stories)$/);
+    }
+  });
+}
+
+test('google: takes snippets from line-clamped blocks when the classes change', () => {
+  const results = ofType(parseFixture('google'), 'organic');
+  assert.equal(results.length, 3);
+  assert.match(results[2].snippet, /^Returns a static NodeList/);
+});
+
+test('google: classifies featured snippets, top stories, questions and videos', () => {
+  const results = parseFixture('google');
+  assert.deepEqual(richBlocks(results), [
+    ['featured', 'What is Web Scraping? | IBM'],
+    ['news', 'Court rules on AI scraping lawsuit'],
+    ['news', 'Scrapers increasingly ignore robots.txt'],
+    ['question', 'Is web scraping legal?'],
+    ['question', 'What is an example of web scraping?'],
+    ['video', 'Beautiful Soup 4 Tutorial #1 - Web Scraping With Python']
+  ]);
+  assert.equal(results[0].type, 'featured');
+  assert.match(results[0].snippet, /^Web scraping is the automated extraction/);
+  assert.equal(ofType(results, 'question')[0].link, null);
+  assert.equal(ofType(results, 'news')[0].snippet, 'The Verge');
+});
+
+test('duckduckgo: unwraps /l/?uddg= redirect links', () => {
+  const results = ofType(parseFixture('duckduckgo'), 'organic');
+  assert.equal(results[1].link, 'https://www.scrapingbee.com/blog/web-scraping-101/?ref=ddg');
+});
+
+test('duckduckgo: reads the instant answer box as featured', () => {
+  const [featured] = parseFixture('duckduckgo');
+  assert.deepEqual(featured, { ...WIKIPEDIA, type: 'featured', title: 'Web scraping' });
+});
+
+test('bing: classifies answers, questions, news and videos', () => {
+  const results = parseFixture('bing');
+  assert.deepEqual(richBlocks(results), [
+    ['featured', 'What is Web Scraping? | IBM'],
+    ['question', 'Is web scraping legal?'],
+    ['question', 'What is an example of web scraping?'],
+    ['news', 'Court rules on AI scraping lawsuit'],
+    ['video', 'Beautiful Soup 4 Tutorial #1 - Web Scraping With Python']
+  ]);
+  assert.equal(ofType(results, 'video')[0].link, 'https://www.youtube.com/watch?v=ng2o98k983k');
+});
+
+test('brave: reads cards from news and video blocks and FAQ questions', () => {
+  const results = parseFixture('brave');
+  assert.deepEqual(richBlocks(results), [
+    ['news', 'Court rules on AI scraping lawsuit'],
+    ['video', 'Beautiful Soup 4 Tutorial #1 - Web Scraping With Python'],
+    ['question', 'Is web scraping legal?']
+  ]);
+  assert.equal(ofType(results, 'question')[0].link, 'https://en.wikipedia.org/wiki/Web_scraping#Legal_issues');
+});
+
+test('searxng: classifies infoboxes and news results', () => {
+  assert.deepEqual(richBlocks(parseFixture('searxng')), [
+    ['featured', 'Web scraping'],
+    ['news', 'Court rules on AI scraping lawsuit']
+  ]);
+});
+
+test('organic results linking to video hosts count as videos', () => {
+  const html = '<div id="search"><div class="g"><a href="https://vimeo.com/123456"><h3>A talk</h3></a></div></div>';
+  assert.equal(parseResults(SEARCH_ENGINES.google, html, FIXTURES.google)[0].type, 'video');
+});
+
+test('searxng: builds the search URL from the instance base URL', () => {
+  const url = SEARCH_ENGINES.searxng.searchUrl('web scraping', { baseUrl: 'http://localhost:8888/' });
+  assert.equal(url, FIXTURES.searxng.replace('web+scraping', 'web%20scraping'));
+});
+
+test('an unrecognised page yields no results', () => {
+  for (const engine of Object.values(SEARCH_ENGINES)) {
+    assert.deepEqual(parseResults(engine, '<html><body><p>Before you continue</p></body></html>', 'https://example.com/'), []);
+  }
+});
+
+test('result pages: each engine asks for the next page', () => {
+  const urls = Object.values(SEARCH_ENGINES).map(engine =>
+    engine.searchUrl('x', { baseUrl: 'http://localhost:8888', page: 1, offset: 12 }));
+  assert.deepEqual(urls, [
+    'https://www.google.com/search?q=x&hl=en&start=10',
+    'https://html.duckduckgo.com/html/?q=x&s=12&dc=13',
+    'https://www.bing.com/search?q=x&setlang=en&first=11',
+    'https://search.brave.com/search?q=x&source=web&offset=1',
+    'http://localhost:8888/search?q=x&categories=general&pageno=2'
+  ]);
+});
+
+test('unwrapRedirect: resolves engine redirect links', () => {
+  assert.equal(unwrapRedirect('/url?q=https://example.com/a%3Fb%3D1&sa=U&ved=2ah', 'https://www.google.com/search?q=x'), 'https://example.com/a?b=1');
+  assert.equal(unwrapRedirect('https://www.google.de/url?url=https%3A%2F%2Fexample.com%2F'), 'https://example.com/');
+  assert.equal(unwrapRedirect('//duckduckgo.com/l/?uddg=https%3A%2F%2Fexample.com%2Fpage&rut=abc', 'https://html.duckduckgo.com/html/'), 'https://example.com/page');
+  const bingTarget = Buffer.from('https://example.com/docs?page=2').toString('base64url');
+  assert.equal(unwrapRedirect(`https://www.bing.com/ck/a?!&&p=abc&u=a1${bingTarget}&ntb=1`), 'https://example.com/docs?page=2');
+});
+
+test('unwrapRedirect: drops tracking parameters and keeps the rest', () => {
+  assert.equal(unwrapRedirect('https://example.com/post?id=7&utm_source=x&utm_medium=y&gclid=z#top'), 'https://example.com/post?id=7#top');
+  assert.equal(unwrapRedirect('https://example.com/?fbclid=abc'), 'https://example.com/');
+  assert.equal(unwrapRedirect('https://www.google.com/search?q=x'), 'https://www.google.com/search?q=x');
+});
+
+test('resultKey: ignores fragments and trailing slashes', () => {
+  assert.equal(resultKey({ link: 'https://example.com/a/#intro' }), resultKey({ link: 'https://example.com/a' }));
+  assert.notEqual(resultKey({ link: 'https://example.com/a?p=1' }), resultKey({ link: 'https://example.com/a?p=2' }));
+  assert.equal(resultKey({ type: 'question', title: 'Why?', link: null }), resultKey({ type: 'question', title: 'Why?', link: null }));
+});
+
+test('filters: each engine maps time, language and region to its own parameters', () => {
+  const filters = { time: 'week', lang: 'de', region: 'at' };
+  const urls = Object.values(SEARCH_ENGINES).map(engine =>
+    buildSearchUrl(engine, 'x', { baseUrl: 'http://localhost:8888', ...filters }));
+  assert.deepEqual(urls, [
+    'https://www.google.com/search?q=x&hl=en&tbs=qdr%3Aw&lr=lang_de&gl=at',
+    'https://html.duckduckgo.com/html/?q=x&df=w&kl=at-de',
+    'https://www.bing.com/search?q=x%20language%3Ade&setlang=en&filters=ex1%3A%22ez2%22&cc=at',
+    'https://search.brave.com/search?q=x&source=web&tf=pw&country=at',
+    'http://localhost:8888/search?q=x&categories=general&time_range=week&language=de-AT'
+  ]);
+});
+
+test('filters: sites become site: operators', () => {
+  assert.equal(buildSearchUrl(SEARCH_ENGINES.google, 'x', { sites: ['github.com'] }), 'https://www.google.com/search?q=x%20site%3Agithub.com&hl=en');
+  assert.match(buildSearchUrl(SEARCH_ENGINES.bing, 'x', { sites: ['a.com', 'b.org'] }), /q=x%20\(site%3Aa\.com%20OR%20site%3Ab\.org\)&/);
+});
+
+test('filters: engines report the filters they cannot apply', () => {
+  assert.deepEqual(ignoredFilters(SEARCH_ENGINES.brave, { time: 'day', lang: 'de', region: 'at' }), ['lang']);
+  assert.deepEqual(ignoredFilters(SEARCH_ENGINES.searxng, { region: 'at' }), ['region']);
+  assert.deepEqual(ignoredFilters(SEARCH_ENGINES.searxng, { lang: 'de', region: 'at' }), []);
+  assert.deepEqual(ignoredFilters(SEARCH_ENGINES.duckduckgo, { lang: 'en' }), ['lang']);
+  assert.deepEqual(ignoredFilters(SEARCH_ENGINES.duckduckgo, { lang: 'de', region: 'at' }), []);
+  assert.deepEqual(ignoredFilters(SEARCH_ENGINES.google, { sites: ['a.com'], time: 'year' }), []);
+});
+
+test('filters: DuckDuckGo only sends a language together with a region', () => {
+  assert.equal(buildSearchUrl(SEARCH_ENGINES.duckduckgo, 'x', { lang: 'en' }), 'https://html.duckduckgo.com/html/?q=x');
+  assert.equal(buildSearchUrl(SEARCH_ENGINES.duckduckgo, 'x', { region: 'de' }), 'https://html.duckduckgo.com/html/?q=x&kl=de-de');
+});
+
+test('filters: Bing has no past-year preset and gets a date range instead', () => {
+  assert.match(buildSearchUrl(SEARCH_ENGINES.bing, 'x', { time: 'year' }), /filters=ex1%3A%22ez5_\d+_\d+%22/);
+});
+
+test('detectBlock: recognises CAPTCHA, consent and bot-check pages', () => {
+  assert.equal(detectBlock(readFixture('google-sorry'), 'https://www.google.com/sorry/index?continue=x'), 'Google "unusual traffic" check');
+  assert.equal(detectBlock(readFixture('google-sorry'), 'https://www.google.com/search?q=web+scraping'), 'reCAPTCHA');
+  assert.equal(detectBlock(readFixture('google-consent'), 'https://consent.google.com/ml?continue=x'), 'Google consent page');
+  assert.equal(detectBlock(readFixture('google-consent'), 'https://www.google.com/search?q=x'), 'consent wall');
+  assert.equal(detectBlock(readFixture('duckduckgo-anomaly'), FIXTURES.duckduckgo), 'DuckDuckGo bot check');
+});
+
+test('detectBlock: ordinary results and empty results pages are not blocks', () => {
+  for (const name of Object.keys(FIXTURES)) {
+    assert.equal(detectBlock(readFixture(name), FIXTURES[name]), null, name);
+  }
+  assert.equal(detectBlock('<html><body><p>Your search did not match any documents.</p></body></html>', FIXTURES.google), null);
+});
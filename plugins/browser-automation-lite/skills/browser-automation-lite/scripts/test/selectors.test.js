@@ -0,0 +1,99 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { JSDOM } from 'jsdom';
+import { generateSelectors } from '../lib/selectors.js';
+
+function page(body) {
+  return new JSDOM(`<!DOCTYPE html><html><body>${body}</body></html>`).window.document;
+}
+
+// The generated selector must lead back to the element it was made for
+function assertFinds(doc, element) {
+  const result = generateSelectors(element);
+  assert.equal(result.unique, true, result.selector);
+  assert.equal(doc.querySelectorAll(result.selector).length, 1, result.selector);
+  assert.equal(doc.querySelector(result.selector), element, result.selector);
+  if (result.xpath) {
+    assert.equal(doc.evaluate(result.xpath, doc, null, 9, null).singleNodeValue, element, result.xpath);
+  }
+  return result;
+}
+
+test('prefers test ids, then ids, aria-label and name', () => {
+  const doc = page(`
+    <button id="save" data-testid="save-button">Save</button>
+    <input id="email" name="email">
+    <button aria-label="Close dialog">×</button>
+    <input name="password" type="password">`);
+  const [save, email, close, password] = doc.querySelectorAll('button, input');
+
+  assert.equal(assertFinds(doc, save).selector, '[data-testid="save-button"]');
+  assert.equal(assertFinds(doc, email).selector, '#email');
+  assert.equal(assertFinds(doc, close).selector, 'button[aria-label="Close dialog"]');
+  assert.equal(assertFinds(doc, password).selector, 'input[name="password"]');
+});
+
+test('escapes ids and attribute values', () => {
+  const doc = page(`
+    <div id="cart:item.main">a</div><div>c</div>
+    <a data-testid='say "hi" \\ bye'>b</a>`);
+  const [div, , link] = doc.querySelectorAll('div, a');
+
+  assert.equal(assertFinds(doc, div).selector, '#cart\\:item\\.main');
+  assert.equal(assertFinds(doc, link).selector, '[data-testid="say \\"hi\\" \\\\ bye"]');
+});
+
+test('skips generated ids and duplicate attributes, and uses positions to stay unique', () => {
+  const doc = page(`
+    <ul class="list"><li class="item">One</li><li class="item">Two</li><li class="item">Two</li></ul>
+    <ul class="list"><li class="item" id=":r5:">Three</li></ul>`);
+  const items = doc.querySelectorAll('li');
+
+  const second = assertFinds(doc, items[1]);
+  assert.match(second.selector, /nth-of-type\(2\)/);
+  assert.equal(second.textXPath, null);
+  assert.doesNotMatch(assertFinds(doc, items[3]).selector, /:r5:|\\:r5/);
+});
+
+test('anchors paths at the nearest identifiable ancestor', () => {
+  const doc = page(`
+    <form data-testid="login"><label>User <input></label><button>Sign in</button></form>
+    <form><button>Sign in</button></form>`);
+  const button = doc.querySelector('form button');
+
+  const result = assertFinds(doc, button);
+  assert.equal(result.selector, '[data-testid="login"] button');
+  assert.equal(result.xpath, '//*[@data-testid="login"]/button');
+  assert.equal(result.textXPath, null);
+});
+
+test('offers a text XPath when the text is unique', () => {
+  const doc = page(`<nav><a href="/a">Pricing</a><a href="/b">Docs</a></nav>`);
+  const result = assertFinds(doc, doc.querySelectorAll('a')[1]);
+  assert.equal(result.textXPath, '//a[normalize-space()="Docs"]');
+  assert.equal(result.xpath, '/html/body/nav/a[2]');
+});
+
+test('describes elements inside shadow roots with the >>> combinator', () => {
+  const doc = page('<checkout-form></checkout-form><checkout-form id="second"></checkout-form>');
+  const host = doc.querySelector('#second');
+  const shadow = host.attachShadow({ mode: 'open' });
+  shadow.innerHTML = '<div><button class="primary">Pay</button><button>Cancel</button></div>';
+  const pay = shadow.querySelector('.primary');
+
+  const result = generateSelectors(pay);
+  assert.equal(result.selector, '#second >>> button.primary');
+  assert.equal(result.unique, true);
+  assert.equal(result.xpath, null);
+  assert.deepEqual(result.frames, []);
+});
+
+test('lists the iframes around elements in same-origin frames', () => {
+  const doc = page('<iframe name="checkout"></iframe>');
+  const frameDoc = doc.querySelector('iframe').contentDocument;
+  frameDoc.body.innerHTML = '<input name="card">';
+
+  const result = generateSelectors(frameDoc.querySelector('input'));
+  assert.equal(result.selector, 'input[name="card"]');
+  assert.deepEqual(result.frames, ['iframe[name="checkout"]']);
+});
@@ -0,0 +1,16 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { isSessionCommandLine } from '../lib/sessions.js';
+
+const record = { name: 'research', port: 9223, pid: 4242, userDataDir: '/home/u/.cache/state/sessions/research/profile' };
+
+test('recognizes the Chrome started for the session', () => {
+  const argv = ['/opt/google/chrome/chrome', '--remote-debugging-port=9223', `--user-data-dir=${record.userDataDir}`, '--no-first-run'];
+  assert.equal(isSessionCommandLine(argv, record), true);
+});
+
+test('rejects processes that reused the pid or belong to another session', () => {
+  assert.equal(isSessionCommandLine(['/usr/bin/python3', 'server.py'], record), false);
+  assert.equal(isSessionCommandLine(['chrome', '--remote-debugging-port=9224', `--user-data-dir=${record.userDataDir}`], record), false);
+  assert.equal(isSessionCommandLine(['chrome', '--remote-debugging-port=9223', '--user-data-dir=/tmp/other'], record), false);
+});
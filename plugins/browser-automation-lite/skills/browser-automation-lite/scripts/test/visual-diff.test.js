@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PNG } from 'pngjs';
+import { compareImages } from '../lib/visual-diff.js';
+
+// A solid image with an optional rectangle painted in another colour
+function image(width, height, { color = [255, 255, 255], rect, rectColor = [0, 0, 0] } = {}) {
+  const png = new PNG({ width, height });
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const inside = rect && x >= rect.x && x < rect.x + rect.width && y >= rect.y && y < rect.y + rect.height;
+      png.data.set([...(inside ? rectColor : color), 255], (y * width + x) * 4);
+    }
+  }
+  return PNG.sync.write(png);
+}
+
+test('identical images have no changed pixels', () => {
+  const result = compareImages(image(20, 10), image(20, 10));
+  assert.equal(result.diffPixels, 0);
+  assert.equal(result.diffRatio, 0);
+  assert.equal(result.sizeChanged, false);
+});
+
+test('counts changed pixels and marks them in the diff image', () => {
+  const result = compareImages(image(20, 10), image(20, 10, { rect: { x: 2, y: 2, width: 5, height: 4 } }));
+  assert.equal(result.diffPixels, 20);
+  assert.equal(result.diffRatio, 0.1);
+
+  const diff = PNG.sync.read(result.diffImage);
+  assert.deepEqual([diff.width, diff.height], [20, 10]);
+  assert.deepEqual([...diff.data.subarray((3 * 20 + 3) * 4, (3 * 20 + 3) * 4 + 3)], [255, 0, 0]);
+});
+
+test('small colour shifts stay under the pixel threshold', () => {
+  const shifted = image(20, 10, { color: [250, 250, 250] });
+  assert.equal(compareImages(image(20, 10), shifted).diffPixels, 0);
+  assert.equal(compareImages(image(20, 10), shifted, { pixelThreshold: 0 }).diffPixels, 200);
+});
+
+test('a size change counts the added area as changed', () => {
+  const result = compareImages(image(20, 10), image(20, 12));
+  assert.equal(result.sizeChanged, true);
+  assert.deepEqual(result.actualSize, { width: 20, height: 12 });
+  assert.equal(result.diffPixels, 40);
+});